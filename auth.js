@@ -0,0 +1,115 @@
+// auth.js - Per-client bearer tokens for the bridge HTTP API
+//
+// On first start the bridge generates one token per client and writes them to
+// AUTH_FILE (readable only by the current user). Clients send their token as
+// "Authorization: Bearer <token>"; they find it in an environment variable
+// (BRIDGE_TOKEN_CLAUDE / BRIDGE_TOKEN_CLINE) or in the same file.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const AUTH_FILE = path.join(__dirname, 'data', 'auth.json');
+const CLIENTS = ['claude', 'cline'];
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Read the auth config, creating it (and any missing tokens) if needed
+function loadOrCreateAuthConfig(file = AUTH_FILE) {
+  let config = {};
+  if (fs.existsSync(file)) {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  let changed = !fs.existsSync(file);
+  config.tokens = config.tokens || {};
+  for (const client of CLIENTS) {
+    if (!config.tokens[client]) {
+      config.tokens[client] = generateToken();
+      changed = true;
+    }
+  }
+
+  if (!Array.isArray(config.allowedOrigins)) {
+    config.allowedOrigins = [];
+    changed = true;
+  }
+
+  if (changed) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+  }
+
+  return config;
+}
+
+// Token a client should send: environment variable first, then the auth file
+function readClientToken(client, file = AUTH_FILE) {
+  const fromEnv = process.env[`BRIDGE_TOKEN_${client.toUpperCase()}`];
+  if (fromEnv) return fromEnv;
+
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return (config.tokens && config.tokens[client]) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Constant-time string comparison
+function tokensMatch(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Which client presented this token, or null
+function clientForToken(config, token) {
+  if (!token) return null;
+  return CLIENTS.find(client => tokensMatch(config.tokens[client], token)) || null;
+}
+
+// Express middleware: requires a valid bearer token, sets req.client, and checks
+// the token belongs to the client the route acts for (routeOwner returns
+// 'claude', 'cline' or null for routes either client may use).
+function requireAuth(config, routeOwner) {
+  return (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    const client = clientForToken(config, match && match[1]);
+
+    if (!client) {
+      return res.status(401)
+        .set('WWW-Authenticate', 'Bearer')
+        .json({ success: false, message: 'Missing or invalid bearer token' });
+    }
+
+    const owner = routeOwner(req);
+    if (owner && owner !== client) {
+      return res.status(403).json({ success: false, message: `Route is reserved for ${owner}` });
+    }
+
+    req.client = client;
+    next();
+  };
+}
+
+// Express middleware: rejects browser requests from origins not in the allow list
+function checkOrigin(config) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin && !config.allowedOrigins.includes(origin)) {
+      return res.status(403).json({ success: false, message: `Origin not allowed: ${origin}` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  AUTH_FILE,
+  loadOrCreateAuthConfig,
+  readClientToken,
+  requireAuth,
+  checkOrigin
+};
@@ -0,0 +1,193 @@
+// bridge-connection.js - Connection state machine and offline outbox shared by both clients
+//
+// A client's connection to the bridge is in one of four states:
+//   connecting  an attempt is running (status check, registration, announce, subscribe)
+//   connected   messages flow both ways
+//   backoff     the attempt failed or the connection was lost; the next attempt
+//               waits for an exponentially growing, jittered delay
+//   closed      not started yet, or the client was cleaned up
+// 'state' is emitted on every change: { state, previous, attempt, delay?, error? }
+//
+// Messages are sent through an outbox, one at a time and in order. While the
+// client is not connected they wait there and are sent once it reconnects; a
+// send that fails because the bridge cannot be reached stays at the head of
+// the outbox and the connection is treated as lost; one that may have arrived
+// (a request timeout) is rejected rather than sent twice.
+const EventEmitter = require('events');
+
+const RECONNECT_DELAY = 1000;      // Delay after the first failure, doubled after each one
+const MAX_RECONNECT_DELAY = 30000;
+const OUTBOX_LIMIT = 1000;         // Messages that may wait for the connection
+
+// Connection errors after which the message is kept for a resend: the bridge
+// refused or reset the connection, or could not be found. Anything else (a
+// timeout in particular) may have been delivered, and resending could
+// duplicate the message.
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// node-fetch errors meaning the bridge could not be reached (not HTTP errors)
+function isNetworkError(error) {
+  return Boolean(error) && error.name === 'FetchError' && error.type === 'system'
+    && NOT_SENT_CODES.includes(error.code);
+}
+
+class BridgeConnection extends EventEmitter {
+  // connect() makes one attempt and throws if it fails; disconnect() tears down
+  // whatever an attempt or the connection set up (streams, pollers, timers)
+  constructor({
+    connect,
+    disconnect = () => {},
+    initialDelay = RECONNECT_DELAY,
+    maxDelay = MAX_RECONNECT_DELAY,
+    outboxLimit = OUTBOX_LIMIT
+  }) {
+    super();
+    this.connect = connect;
+    this.disconnect = disconnect;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.outboxLimit = outboxLimit;
+    this.state = 'closed';
+    this.attempt = 0;  // Attempts since the last successful one
+    this.timer = null;
+    this.lostError = null; // Set if the connection drops before the attempt finishes
+    this.outbox = [];  // { send, resolve, reject }
+    this.flushing = false;
+  }
+
+  start() {
+    if (this.state === 'closed') {
+      this.attempt = 0;
+      this.tryConnect();
+    }
+  }
+
+  async tryConnect() {
+    this.timer = null;
+    this.lostError = null;
+    this.attempt++;
+    this.setState('connecting');
+
+    try {
+      await this.connect(this.attempt);
+    } catch (error) {
+      if (this.state === 'connecting') {
+        this.disconnect();
+        this.retry(error);
+      }
+      return;
+    }
+
+    if (this.state !== 'connecting') {
+      // Closed while the attempt was running
+      this.disconnect();
+      return;
+    }
+    if (this.lostError) {
+      // What the attempt started (a stream or a poll) already failed
+      this.disconnect();
+      this.retry(this.lostError);
+      return;
+    }
+    this.attempt = 0;
+    this.setState('connected');
+    this.flush();
+  }
+
+  // The connection dropped (a stream closed, a poll or send failed): tear it down and try again
+  lost(error) {
+    if (this.state === 'connecting') {
+      this.lostError = error;
+      return;
+    }
+    if (this.state !== 'connected') return;
+    this.disconnect();
+    this.retry(error);
+  }
+
+  retry(error) {
+    const failures = Math.max(this.attempt, 1);
+    const ceiling = Math.min(this.maxDelay, this.initialDelay * 2 ** (failures - 1));
+    // Half fixed, half random, so clients dropped together do not retry together
+    const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+
+    this.setState('backoff', { delay, error });
+    this.timer = setTimeout(() => this.tryConnect(), delay);
+    this.timer.unref();
+  }
+
+  // Stop for good; messages still waiting are rejected
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.setState('closed');
+
+    for (const entry of this.outbox.splice(0)) {
+      entry.reject(new Error('Client closed before the message was sent'));
+    }
+  }
+
+  // Queue `send` (a function that posts one message and resolves to the
+  // response) behind earlier messages. Resolves to its result once sent.
+  send(send) {
+    if (this.state === 'closed') {
+      return Promise.reject(new Error('Client is closed'));
+    }
+    if (this.outbox.length >= this.outboxLimit) {
+      return Promise.reject(new Error(`Outbox full: ${this.outboxLimit} messages are waiting for the bridge`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.outbox.push({ send, resolve, reject });
+      this.flush();
+    });
+  }
+
+  async flush() {
+    if (this.flushing) return;
+    this.flushing = true;
+
+    try {
+      while (this.state === 'connected' && this.outbox.length > 0) {
+        const entry = this.outbox[0];
+        try {
+          const result = await entry.send();
+          this.remove(entry);
+          entry.resolve(result);
+        } catch (error) {
+          if (isNetworkError(error)) {
+            // Keep it for the next connection
+            this.lost(error);
+            break;
+          }
+          this.remove(entry);
+          entry.reject(error);
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  remove(entry) {
+    if (this.outbox[0] === entry) {
+      this.outbox.shift();
+    }
+  }
+
+  setState(state, details = {}) {
+    const previous = this.state;
+    if (state === previous) return;
+
+    this.state = state;
+    this.emit('state', { state, previous, attempt: this.attempt, ...details });
+  }
+}
+
+module.exports = {
+  BridgeConnection,
+  isNetworkError,
+  RECONNECT_DELAY,
+  MAX_RECONNECT_DELAY,
+  OUTBOX_LIMIT
+};
@@ -0,0 +1,288 @@
+// bridge-supervisor.js - Starts the bridge on demand and keeps it running
+//
+// Clients with the autoStart setting call ensureBridge() before connecting. If
+// nothing answers at the bridge URL it launches this file as a detached
+// process, which runs claude-cline-bridge.js as its child and restarts it with
+// backoff if it crashes. Its output goes to <dataDir>/bridge.log.
+//
+// Whichever process owns the bridge - this supervisor, or a bridge started by
+// hand - holds <dataDir>/bridge.pid, created exclusively, so only one runs.
+// A lock is stale, and taken over, unless its process is alive and really is
+// the bridge: /status at the lock's url reports that pid (a pid can be reused
+// by an unrelated program after a reboot or crash). While the bridge is
+// starting or restarting nothing answers, so a live pid is trusted without
+// /status for START_GRACE after the lock was written or touched. stopBridge()
+// (`node claude-cline-bridge.js --stop`) sends the owner SIGTERM and waits for
+// it to exit; a supervisor stops its bridge first.
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const fetch = require('node-fetch');
+const { loadConfig, ConfigError } = require('./config');
+const { readClientToken } = require('./auth');
+
+const BRIDGE_SCRIPT = path.join(__dirname, 'claude-cline-bridge.js');
+const START_TIMEOUT = 10000;     // How long ensureBridge waits for /status to answer
+const STOP_TIMEOUT = 10000;      // How long stopBridge waits for the bridge to exit
+const STATUS_POLL_INTERVAL = 250;
+const RESTART_DELAY = 1000;      // First restart delay, doubled after each quick crash
+const MAX_RESTART_DELAY = 30000;
+const MAX_RESTARTS = 5;          // Quick crashes in a row before giving up
+const STABLE_AFTER = 60000;      // A bridge that ran this long resets the count
+const START_GRACE = MAX_RESTART_DELAY + START_TIMEOUT; // A fresh lock is trusted while /status is silent
+
+// Set in the bridge's environment when a supervisor runs it
+const SUPERVISOR_ENV = 'BRIDGE_SUPERVISOR_PID';
+
+function log(message) {
+  console.error(`[${new Date().toISOString()}] ${message}`);
+}
+
+function lockFile(config) {
+  return path.join(config.dataDir, 'bridge.pid');
+}
+
+function logFile(config) {
+  return path.join(config.dataDir, 'bridge.log');
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// The lock's contents ({ pid, url, supervised, startedAt }), or null if there is none
+function readLock(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// How long ago the lock was written or last touched, in ms
+function lockAge(file) {
+  try {
+    return Date.now() - fs.statSync(file).mtimeMs;
+  } catch (error) {
+    return Infinity;
+  }
+}
+
+// Whether the lock's holder is a running bridge or supervisor (see above)
+async function holderIsRunning(file, holder, config) {
+  if (!holder || !isAlive(holder.pid)) {
+    return false;
+  }
+
+  let status;
+  try {
+    const token = readClientToken('claude', config.auth.file);
+    const response = await fetch(`${holder.url}/status`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      timeout: 1000
+    });
+    if (!response.ok) {
+      return false; // Something else answers at that url
+    }
+    status = await response.json();
+  } catch (error) {
+    if (error.type === 'invalid-json') {
+      return false;
+    }
+    return lockAge(file) < START_GRACE; // Nothing answers: starting, restarting or stale
+  }
+  return status.pid === holder.pid || status.supervisorPid === holder.pid;
+}
+
+// Take the lock for this process. Resolves to null on success, or to the
+// contents of a lock held by a running bridge.
+async function acquireLock(file, info, config) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, `${JSON.stringify({ pid: process.pid, ...info, startedAt: new Date().toISOString() })}\n`, { flag: 'wx' });
+      return null;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const holder = readLock(file);
+    if (await holderIsRunning(file, holder, config)) {
+      return holder;
+    }
+    fs.rmSync(file, { force: true }); // Stale
+  }
+  return readLock(file);
+}
+
+// Mark the lock as fresh while the bridge is (re)starting
+function touchLock(file) {
+  const now = new Date();
+  try {
+    fs.utimesSync(file, now, now);
+  } catch (error) {
+    // Removed by --stop; nothing to refresh
+  }
+}
+
+// Remove the lock if this process holds it
+function releaseLock(file) {
+  const holder = readLock(file);
+  if (holder && holder.pid === process.pid) {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+// Whether anything answers at the bridge URL (a 401 counts)
+async function isResponding(url) {
+  try {
+    await fetch(`${url}/status`, { timeout: 1000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Make sure a bridge answers at config.url, starting a supervised one if
+// nothing does. `args` are passed on to the bridge (e.g. the caller's own
+// setting flags). Resolves to true if a bridge was started.
+async function ensureBridge(config, { args = [], timeout = START_TIMEOUT, onLog = log } = {}) {
+  if (await isResponding(config.url)) {
+    return false;
+  }
+
+  // A live lock means another client is already starting it
+  const file = lockFile(config);
+  if (!(await holderIsRunning(file, readLock(file), config))) {
+    fs.mkdirSync(config.dataDir, { recursive: true });
+    const output = fs.openSync(logFile(config), 'a');
+    try {
+      const child = spawn(process.execPath, [__filename, ...args], {
+        cwd: __dirname,
+        detached: true,
+        stdio: ['ignore', output, output]
+      });
+      child.unref();
+      onLog(`Started the bridge (supervisor pid ${child.pid}); its log is ${logFile(config)}`);
+    } finally {
+      fs.closeSync(output);
+    }
+  }
+
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, STATUS_POLL_INTERVAL));
+    if (await isResponding(config.url)) {
+      return true;
+    }
+  }
+  throw new Error(`Bridge did not answer at ${config.url} within ${timeout / 1000}s; see ${logFile(config)}`);
+}
+
+// Ask the running bridge (or its supervisor) to shut down. Resolves to the
+// pid that was stopped, or null if none was running.
+async function stopBridge(config, { timeout = STOP_TIMEOUT } = {}) {
+  const file = lockFile(config);
+  const holder = readLock(file);
+  if (!(await holderIsRunning(file, holder, config))) {
+    fs.rmSync(file, { force: true }); // Never signal a pid that is not the bridge's
+    return null;
+  }
+
+  process.kill(holder.pid, 'SIGTERM');
+  const deadline = Date.now() + timeout;
+  while (isAlive(holder.pid)) {
+    if (Date.now() > deadline) {
+      throw new Error(`Bridge (pid ${holder.pid}) did not exit within ${timeout / 1000}s`);
+    }
+    await new Promise(resolve => setTimeout(resolve, STATUS_POLL_INTERVAL));
+  }
+  return holder.pid;
+}
+
+// Run the bridge as a child, restarting it when it crashes, until stopped
+async function supervise(argv) {
+  let config;
+  try {
+    config = loadConfig({ argv });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    log(error.message);
+    process.exit(1);
+  }
+
+  const file = lockFile(config);
+  const holder = await acquireLock(file, { url: config.url, supervised: true }, config);
+  if (holder) {
+    log(`Bridge already running (pid ${holder.pid}); not starting another`);
+    process.exit(0);
+  }
+  process.on('exit', () => releaseLock(file));
+
+  let child = null;
+  let stopping = false;
+  let crashes = 0;
+
+  const start = () => {
+    const startedAt = Date.now();
+    touchLock(file);
+    child = spawn(process.execPath, [BRIDGE_SCRIPT, ...argv], {
+      cwd: __dirname,
+      stdio: 'inherit',
+      env: { ...process.env, [SUPERVISOR_ENV]: String(process.pid) }
+    });
+    log(`Supervisor ${process.pid} started the bridge (pid ${child.pid})`);
+
+    child.on('exit', (code, signal) => {
+      child = null;
+      if (stopping || code === 0) {
+        process.exit(0);
+      }
+
+      crashes = Date.now() - startedAt > STABLE_AFTER ? 1 : crashes + 1;
+      if (crashes > MAX_RESTARTS) {
+        log(`Bridge crashed ${MAX_RESTARTS} times in a row; giving up`);
+        process.exit(1);
+      }
+      const delay = Math.min(RESTART_DELAY * 2 ** (crashes - 1), MAX_RESTART_DELAY);
+      log(`Bridge exited (${signal || `code ${code}`}); restarting in ${delay / 1000}s`);
+      touchLock(file);
+      setTimeout(start, delay);
+    });
+  };
+
+  const stop = () => {
+    stopping = true;
+    if (child) {
+      child.kill('SIGTERM');
+    } else {
+      process.exit(0);
+    }
+  };
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+
+  start();
+}
+
+if (require.main === module) {
+  supervise(process.argv.slice(2)).catch(error => {
+    log(`Supervisor failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ensureBridge,
+  stopBridge,
+  acquireLock,
+  releaseLock,
+  lockFile,
+  isAlive,
+  SUPERVISOR_ENV
+};
@@ -0,0 +1,310 @@
+// changeset.js - Applies many file changes from Claude as one unit, with undo
+//
+// A changeset is a list of changes applied in order:
+//   { op: 'create', path, content }
+//   { op: 'update', path, content | diff | edits, baseHash? }
+//   { op: 'delete', path, baseHash? }
+//   { op: 'rename', path, to, baseHash? }
+// Every change is checked first (sandbox, base hashes, whether files exist,
+// patches applying) against an in-memory view of the workspace, so nothing is
+// written unless the whole changeset is valid. If a write then fails, the
+// files already written are restored. The before and after content of every
+// touched file is saved as a backup so undo() can revert the changeset later.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { applyPatch, hashContent, PatchConflictError } = require('./file-patch');
+
+const BACKUP_DIR = path.join(__dirname, 'data', 'changesets');
+const MAX_BACKUPS = 50; // Older changesets can no longer be undone
+
+// Error code used in JSON-RPC error data
+const CHANGESET_INVALID = 'CHANGESET_INVALID';
+
+// The changeset (or the change at `index`) cannot be applied
+class ChangesetError extends Error {
+  constructor(message, index) {
+    super(index === undefined ? message : `Change ${index + 1}: ${message}`);
+    this.code = CHANGESET_INVALID;
+    this.index = index;
+  }
+
+  toJSON() {
+    const details = { code: this.code };
+    if (this.index !== undefined) {
+      details.index = this.index;
+    }
+    return details;
+  }
+}
+
+class ChangesetManager {
+  // sandbox: WorkspaceSandbox; readFile/writeFile/deleteFile take absolute paths
+  constructor({ sandbox, readFile, writeFile, deleteFile, backupDir = BACKUP_DIR, maxBackups = MAX_BACKUPS }) {
+    this.sandbox = sandbox;
+    this.readFile = readFile;
+    this.writeFile = writeFile;
+    this.deleteFile = deleteFile || (file => fs.promises.unlink(file));
+    this.backupDir = backupDir;
+    this.maxBackups = maxBackups;
+  }
+
+  // Validate and apply a changeset. Returns { changesetId, files }.
+  async apply(changes) {
+    if (!Array.isArray(changes) || !changes.length) {
+      throw new ChangesetError('Changeset needs a non-empty "changes" array');
+    }
+
+    const files = await this.plan(changes);
+    const changed = files.filter(file => file.before !== file.after);
+
+    const changesetId = crypto.randomUUID();
+    await this.saveBackup({
+      changesetId,
+      createdAt: new Date().toISOString(),
+      files: changed.map(({ path: file, requested, before, after }) => ({ path: file, requested, before, after }))
+    });
+
+    try {
+      await this.write(changed, 'after');
+    } catch (error) {
+      await this.removeBackup(changesetId);
+      throw error;
+    }
+
+    return {
+      changesetId,
+      files: changed.map(file => ({
+        path: file.requested,
+        status: file.before === null ? 'created' : file.after === null ? 'deleted' : 'updated',
+        sha256: file.after === null ? null : hashContent(file.after)
+      }))
+    };
+  }
+
+  // Revert a changeset. Unless `force` is set, refuses if any of its files
+  // changed since it was applied. Returns { changesetId, files }.
+  async undo(changesetId, { force = false } = {}) {
+    const backup = await this.loadBackup(changesetId);
+
+    for (const file of backup.files) {
+      const current = await this.readCurrent(file.path);
+      if (!force && current !== file.after) {
+        throw new PatchConflictError(file.requested, current === null ? '' : current);
+      }
+      file.after = current;
+    }
+
+    await this.write(backup.files, 'before');
+    await this.removeBackup(changesetId);
+
+    return {
+      changesetId,
+      files: backup.files.map(file => ({
+        path: file.requested,
+        status: file.before === null ? 'deleted' : 'restored'
+      }))
+    };
+  }
+
+  // Changesets that can still be undone, newest first
+  async list() {
+    const names = await this.backupNames();
+    const backups = await Promise.all(names.map(name => this.loadBackup(path.basename(name, '.json'))));
+    return backups
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(backup => ({
+        changesetId: backup.changesetId,
+        createdAt: backup.createdAt,
+        paths: backup.files.map(file => file.requested)
+      }));
+  }
+
+  // Work out the final content of every touched file without writing anything.
+  // Returns [{ path, requested, before, after }] where null means "does not exist".
+  async plan(changes) {
+    const files = new Map(); // absolute path -> { path, requested, before, after }
+
+    const load = async requested => {
+      const file = this.sandbox.resolve(requested);
+      if (!files.has(file)) {
+        const before = await this.readCurrent(file);
+        files.set(file, { path: file, requested, before, after: before });
+      }
+      return files.get(file);
+    };
+
+    const checkBase = (change, entry) => {
+      if (change.baseHash && (entry.after === null || hashContent(entry.after) !== change.baseHash)) {
+        throw new PatchConflictError(change.path, entry.after === null ? '' : entry.after);
+      }
+    };
+
+    for (const [index, change] of changes.entries()) {
+      if (!change || typeof change.path !== 'string' || !change.path) {
+        throw new ChangesetError('Missing path', index);
+      }
+
+      const entry = await load(change.path);
+
+      switch (change.op) {
+        case 'create':
+          if (typeof change.content !== 'string') {
+            throw new ChangesetError('create needs content', index);
+          }
+          if (entry.after !== null) {
+            throw new ChangesetError(`${change.path} already exists`, index);
+          }
+          entry.after = change.content;
+          break;
+
+        case 'update':
+          if (entry.after === null) {
+            throw new ChangesetError(`${change.path} does not exist`, index);
+          }
+          checkBase(change, entry);
+          try {
+            entry.after = typeof change.content === 'string'
+              ? change.content
+              : applyPatch(entry.after, { diff: change.diff, edits: change.edits });
+          } catch (error) {
+            throw new ChangesetError(error.message, index);
+          }
+          break;
+
+        case 'delete':
+          if (entry.after === null) {
+            throw new ChangesetError(`${change.path} does not exist`, index);
+          }
+          checkBase(change, entry);
+          entry.after = null;
+          break;
+
+        case 'rename': {
+          if (typeof change.to !== 'string' || !change.to) {
+            throw new ChangesetError('rename needs a "to" path', index);
+          }
+          if (entry.after === null) {
+            throw new ChangesetError(`${change.path} does not exist`, index);
+          }
+          checkBase(change, entry);
+
+          const target = await load(change.to);
+          if (target === entry) {
+            throw new ChangesetError('rename target is the same file', index);
+          }
+          if (target.after !== null) {
+            throw new ChangesetError(`${change.to} already exists`, index);
+          }
+          target.after = entry.after;
+          entry.after = null;
+          break;
+        }
+
+        default:
+          throw new ChangesetError(`Unknown op: ${change.op}`, index);
+      }
+    }
+
+    return [...files.values()];
+  }
+
+  // Bring every file to its `state` ('before' or 'after') content. If a write
+  // fails, files already written are put back and the error is rethrown.
+  async write(files, state) {
+    const other = state === 'after' ? 'before' : 'after';
+    const done = [];
+
+    try {
+      for (const file of files) {
+        await this.setContent(file.path, file[state]);
+        done.push(file);
+      }
+    } catch (error) {
+      for (const file of done.reverse()) {
+        try {
+          await this.setContent(file.path, file[other]);
+        } catch (rollbackError) {
+          console.error(`Could not restore ${file.path}: ${rollbackError.message}`);
+        }
+      }
+      throw error;
+    }
+  }
+
+  async setContent(file, content) {
+    if (content === null) {
+      if (fs.existsSync(file)) {
+        await this.deleteFile(file);
+      }
+    } else {
+      await this.writeFile(file, content);
+    }
+  }
+
+  async readCurrent(file) {
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return this.readFile(file);
+  }
+
+  backupPath(changesetId) {
+    if (!/^[0-9a-f-]{36}$/.test(changesetId)) {
+      throw new ChangesetError(`Unknown changeset: ${changesetId}`);
+    }
+    return path.join(this.backupDir, `${changesetId}.json`);
+  }
+
+  async backupNames() {
+    try {
+      return (await fs.promises.readdir(this.backupDir)).filter(name => name.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async saveBackup(backup) {
+    await fs.promises.mkdir(this.backupDir, { recursive: true });
+    await fs.promises.writeFile(this.backupPath(backup.changesetId), JSON.stringify(backup), { mode: 0o600 });
+    await this.pruneBackups();
+  }
+
+  async loadBackup(changesetId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.backupPath(changesetId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ChangesetError(`Unknown changeset: ${changesetId}`);
+      }
+      throw error;
+    }
+  }
+
+  async removeBackup(changesetId) {
+    await fs.promises.rm(this.backupPath(changesetId), { force: true });
+  }
+
+  // Keep only the newest maxBackups backups
+  async pruneBackups() {
+    const names = await this.backupNames();
+    if (names.length <= this.maxBackups) return;
+
+    const stats = await Promise.all(names.map(async name => ({
+      name,
+      mtime: (await fs.promises.stat(path.join(this.backupDir, name))).mtimeMs
+    })));
+    stats.sort((a, b) => a.mtime - b.mtime);
+
+    for (const { name } of stats.slice(0, stats.length - this.maxBackups)) {
+      await fs.promises.rm(path.join(this.backupDir, name), { force: true });
+    }
+  }
+}
+
+module.exports = {
+  ChangesetManager,
+  ChangesetError,
+  CHANGESET_INVALID
+};
@@ -2,6 +2,18 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const bytes = require('bytes');
+const { validateMessage, validateRequest, createEnvelope } = require('./message-schemas');
+const { FileStore, FileTransferError, decodeContent, CHUNK_SIZE } = require('./file-store');
+const { MessageQueue } = require('./message-queue');
+const { createStore } = require('./message-store');
+const { SessionRegistry, RegistryError, sessionMailbox, agentMailbox, DEFAULT_SESSION, ROLES, PEERS } = require('./session-registry');
+const { TaskRegistry, TaskError, taskSummary, TASK_STATUSES } = require('./task-registry');
+const { PresenceTracker } = require('./presence');
+const { Transcript, toMarkdown, parseTime } = require('./transcript');
+const { loadOrCreateAuthConfig, requireAuth, checkOrigin } = require('./auth');
+const { loadConfig, ConfigError } = require('./config');
+const { stopBridge, acquireLock, releaseLock, lockFile, SUPERVISOR_ENV } = require('./bridge-supervisor');
 
 // Redirect logs to stderr to avoid interfering with JSON protocol when used via MCP
 if (process.stdout.isTTY === false && process.stderr.isTTY === false) {
@@ -12,89 +24,1274 @@ if (process.stdout.isTTY === false && process.stderr.isTTY === false) {
   };
 }
 
-// Configuration
-const PORT = 2612;
+// Helper for logging with timestamps
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+// Configuration: bridge.config.json, BRIDGE_* environment variables and
+// --<setting> flags (see config.js)
+let config;
+try {
+  config = loadConfig({ argv: process.argv.slice(2), extraFlags: ['compact', 'stop'] });
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(error.message);
+  process.exit(1);
+}
+
+const PORT = config.port;
+const HOST = config.host; // 127.0.0.1 by default, so only local processes can reach the bridge
 const START_TIME = new Date();
+const KEEPALIVE_INTERVAL = config.timeouts.keepAlive;     // Comment line sent on idle event streams
+const MAX_WAIT = config.timeouts.maxWait;                 // Longest a client may hold a long-poll request open
+const INVOCATION_TTL = config.timeouts.invocationTtl;     // Forget unclaimed invocations after this long
+const LEASE_SWEEP_INTERVAL = config.timeouts.leaseSweep;  // How often expired leases are returned to the queue
+const HEARTBEAT_INTERVAL = config.timeouts.heartbeat;     // How often clients are asked to heartbeat
+const UPLOAD_CHUNK_SIZE = Math.min(CHUNK_SIZE, bytes.parse(config.limits.body)); // Each chunk must fit in a request body
+
+// Persistent storage for queues and pending invocations: 'jsonl' (default), 'sqlite' or 'memory'
+const STORAGE = config.storage;
+
+// Transcripts get a store of the same type to themselves. Instead of every
+// 1,000 records it is compacted at startup and hourly with the transcript's
+// expiry, so the queue store's frequent compactions do not rewrite every
+// session's history.
+const HISTORY_STORAGE = {
+  ...STORAGE,
+  path: STORAGE.historyPath,
+  retention: { ...STORAGE.retention, compactEvery: Infinity }
+};
+
+// `node claude-cline-bridge.js --stop` shuts down the running bridge (and its
+// supervisor, if a client started it) and exits
+if (config.flags.includes('stop')) {
+  stopBridge(config).then(pid => {
+    log(pid ? `Stopped the bridge (pid ${pid})` : 'The bridge is not running');
+    process.exit(0);
+  }, error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+  return;
+}
+
+// Only one bridge may run per data directory. A supervised bridge runs under
+// its supervisor's lock, and exits if the supervisor goes away. Otherwise the
+// server starts listening (or --compact runs) once the lock is taken.
+const SUPERVISOR_PID = Number(process.env[SUPERVISOR_ENV]) || null;
+let lockTaken = Promise.resolve();
+if (SUPERVISOR_PID) {
+  setInterval(() => {
+    if (process.ppid !== SUPERVISOR_PID) shutdown();
+  }, LEASE_SWEEP_INTERVAL).unref();
+} else {
+  lockTaken = acquireLock(lockFile(config), { url: config.url, supervised: false }, config).then(holder => {
+    if (holder) {
+      console.error(`The bridge is already running (pid ${holder.pid}); stop it with: node claude-cline-bridge.js --stop`);
+      process.exit(1);
+    }
+    process.on('exit', () => releaseLock(lockFile(config)));
+  });
+}
+
+// `node claude-cline-bridge.js --compact` compacts the stores and exits.
+// Run it while the bridge is stopped.
+if (config.flags.includes('compact')) {
+  lockTaken.then(() => {
+    for (const [name, options] of [['message', STORAGE], ['transcript', HISTORY_STORAGE]]) {
+      const store = createStore(options);
+      store.load();
+      const { removed, records } = store.compact();
+      log(`Compacted ${options.type} ${name} store: ${records} records kept, ${removed} items past retention removed`);
+      store.close();
+    }
+    process.exit(0);
+  });
+  return;
+}
+
+// Load saved state before anything can change it
+const store = createStore(STORAGE);
+const savedState = store.load();
+const historyStore = createStore(HISTORY_STORAGE);
+const savedHistory = historyStore.load().history;
+historyStore.compact();
+
+// Bearer tokens and allowed browser origins, generated on first start
+const authConfig = loadOrCreateAuthConfig(config.auth.file);
+authConfig.allowedOrigins = [...new Set([...authConfig.allowedOrigins, ...config.auth.allowedOrigins])];
+
+// Which client a route acts for; other routes accept either client's token
+function routeOwner(req) {
+  const match = req.path.match(/^\/(claude|cline)\//);
+  if (match) return match[1];
+  if (req.path === '/mcp/invoke' || req.path.startsWith('/mcp/result/')) return 'claude';
+  if (req.path === '/mcp/response') return 'cline';
+  return null;
+}
 
 // Create Express app
 const app = express();
-app.use(bodyParser.json({ limit: '10mb' }));
-app.use(cors());
+app.use(checkOrigin(authConfig));
+app.use(cors({ origin: authConfig.allowedOrigins }));
+app.use(requireAuth(authConfig, routeOwner));
+app.use(bodyParser.json({ limit: config.limits.body }));
 
-// Simple message queues
-const messages = {
-  claude: [], // Messages for Claude to retrieve
-  cline: []   // Messages for Cline to retrieve
-};
+// Named sessions and registered agents
+const registry = new SessionRegistry({ store });
+registry.restore(savedState);
 
-// Helper for logging with timestamps
-function log(message) {
-  console.log(`[${new Date().toISOString()}] ${message}`);
+// Tasks Claude delegates to Cline
+const tasks = new TaskRegistry({ store, maxAge: store.retention.taskMaxAge });
+tasks.restore(savedState.tasks);
+
+// One message queue per mailbox (see session-registry.js); messages are
+// leased to a client and removed once acked. The default session's 'claude'
+// and 'cline' mailboxes always exist, others are created on first use.
+const queues = new Map();
+
+function getQueue(mailbox) {
+  if (!queues.has(mailbox)) {
+    queues.set(mailbox, new MessageQueue({ name: mailbox, store, ...config.queue }));
+  }
+  return queues.get(mailbox);
+}
+
+for (const [mailbox, saved] of Object.entries(savedState.queues)) {
+  getQueue(mailbox).restore(saved);
+}
+ROLES.forEach(getQueue);
+
+// Delete the mailboxes of a closed session or removed agent, with any
+// messages still in them. Returns how many messages were dropped.
+function dropQueues(mailboxes) {
+  let dropped = 0;
+  for (const mailbox of mailboxes) {
+    const queue = queues.get(mailbox);
+    if (!queue) continue;
+    dropped += queue.entries.length;
+    queues.delete(mailbox);
+    store.append({ op: 'dropQueue', queue: mailbox });
+  }
+  return dropped;
+}
+
+// Open event streams; available messages in their mailboxes are pushed to them.
+// Each entry: { identity, mailboxes, isOpen(), send(leased) }
+let subscribers = [];
+
+// Long-poll requests waiting on empty mailboxes, oldest first (same shape)
+let pollers = [];
+
+// Which clients are attached; not persisted, so after a restart every client
+// is offline until it connects again
+const presence = new PresenceTracker({ timeout: config.timeouts.presence });
+
+// Pending MCP invocations keyed by JSON-RPC id
+// Each entry: { id, method, params, createdAt, response, waiters }
+const invocations = new Map();
+for (const [key, invocation] of Object.entries(savedState.invocations)) {
+  invocations.set(key, { ...invocation, waiters: [] });
+}
+
+// Forget an invocation, in memory and in the store
+function forgetInvocation(key) {
+  invocations.delete(key);
+  store.append({ op: 'forget', key });
+}
+
+// Every exchange per session, kept after the messages are acked
+const transcript = new Transcript({
+  store: historyStore,
+  maxEntries: store.retention.maxHistory,
+  maxAge: store.retention.historyMaxAge
+});
+transcript.restore(savedHistory);
+
+// Files transferred between Claude and Cline
+const fileStore = new FileStore({
+  maxFileSize: config.limits.fileSize,
+  maxUploads: config.limits.uploads,
+  maxTotalSize: config.limits.fileStorage
+});
+
+// Report a RegistryError with its status; anything else is rethrown
+function sendRegistryError(res, error) {
+  if (!(error instanceof RegistryError)) throw error;
+  log(`Routing error: ${error.message}`);
+  res.status(error.status).json({ success: false, message: error.message });
+}
+
+// Express middleware: who is calling a client route. Registered agents send
+// their id in X-Agent-Id; other requests act for the token's client in the
+// default session.
+function identify(req, res, next) {
+  try {
+    req.identity = registry.identify(req.client, req.get('X-Agent-Id'));
+    
+    // Any request on a known connection of this client shows it is still there
+    const connectionId = req.get('X-Connection-Id');
+    if (connectionId && presence.ownedBy(connectionId, req.identity)) {
+      presence.touch(connectionId);
+    }
+    next();
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+}
+
+app.use(['/claude', '/cline', '/mcp/invoke', '/mcp/response', '/history', '/tasks', '/uploads', '/files'], identify);
+
+// Where a message from the caller goes: the agent in body.to, else the peer
+// role in body.session or the caller's own session.
+// Returns { mailbox, sessionId, role, agentId, fromAgent }; throws RegistryError.
+function routeFor(req) {
+  const route = registry.route(req.identity, { to: req.body.to, sessionId: req.body.session });
+  return { ...route, fromAgent: req.identity.agentId };
+}
+
+// Name of a client for the log: its role, plus the agent id if registered
+function describe(identity) {
+  const name = capitalize(identity.role);
+  return identity.agentId ? `${name} (${identity.agentId})` : name;
+}
+
+// Parse a ?wait=<ms> query value, clamped to MAX_WAIT
+function parseWait(value) {
+  const wait = parseInt(value, 10);
+  if (isNaN(wait) || wait <= 0) return 0;
+  return Math.min(wait, MAX_WAIT);
 }
 
 //------------------------------------------
 // MESSAGE ROUTES
 //------------------------------------------
 
+// Queue a message in a mailbox and push it out if anyone is listening
+function deliver(mailbox, message) {
+  getQueue(mailbox).enqueue(message);
+  dispatch(mailbox);
+}
+
+// Lease a mailbox's available messages to a connected event stream reading
+// it, else to the longest-waiting long-poll request; otherwise they wait for
+// the next poll. With several streams open on one mailbox they take turns.
+function dispatch(mailbox) {
+  const queue = queues.get(mailbox);
+  if (!queue || queue.availableCount() === 0) return;
+  
+  for (let i = 0; i < subscribers.length; i++) {
+    const subscriber = subscribers[i];
+    if (subscriber.mailboxes.includes(mailbox) && subscriber.isOpen()) {
+      subscribers.splice(i, 1);
+      subscribers.push(subscriber);
+      subscriber.send(queue.lease());
+      return;
+    }
+  }
+  
+  const index = pollers.findIndex(poller => poller.mailboxes.includes(mailbox) && poller.isOpen());
+  if (index !== -1) {
+    const [poller] = pollers.splice(index, 1);
+    poller.send(queue.lease());
+  }
+}
+
+// Validate a posted message, wrap it in an envelope and queue it for its recipient
+function enqueueMessage(req, res) {
+  const from = req.identity;
+  const error = validateMessage(req.body);
+  if (error) {
+    log(`Rejected message from ${describe(from)}: ${error}`);
+    return res.status(400).json({ success: false, message: error });
+  }
+  
+  let route;
+  try {
+    route = routeFor(req);
+  } catch (err) {
+    return sendRegistryError(res, err);
+  }
+  
+  const message = createEnvelope(from.role, req.body, route);
+  
+  log(`${describe(from)} -> ${route.mailbox}: ${message.type} message`);
+  deliver(route.mailbox, message);
+  transcript.record(message, route);
+  
+  res.json({ success: true, sessionId: route.sessionId, recipientOnline: isOnline(route) });
+}
+
+// Whether anyone who reads a route's mailbox is connected
+function isOnline(route) {
+  return route.agentId
+    ? presence.isOnline({ role: route.role, agentId: route.agentId, sessionId: route.sessionId })
+    : presence.anyOnline(route.role, route.sessionId);
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
 // POST /claude/message - Claude sends a message to Cline
-app.post('/claude/message', (req, res) => {
-  const message = {
-    content: req.body.content,
-    type: req.body.type || 'text',
-    timestamp: new Date().toISOString()
+app.post('/claude/message', enqueueMessage);
+
+// POST /cline/message - Cline sends a message to Claude
+app.post('/cline/message', enqueueMessage);
+
+// Lease the caller's available messages: its own mailbox if it is a
+// registered agent, then its session's mailbox for its role. With ?wait=<ms>
+// and nothing available, hold the request until a message arrives or the wait elapses.
+// Leased messages must be acked, or they are redelivered after the visibility timeout.
+function drainMessages(req, res) {
+  const client = describe(req.identity);
+  const mailboxes = registry.mailboxesFor(req.identity);
+  const pending = mailboxes.flatMap(mailbox => getQueue(mailbox).lease());
+  const wait = parseWait(req.query.wait);
+  
+  if (pending.length > 0 || !wait) {
+    if (pending.length > 0) {
+      log(`${client} retrieved ${pending.length} messages`);
+    }
+    return res.json(pending);
+  }
+  
+  let timer = null;
+  const poller = {
+    identity: req.identity,
+    mailboxes,
+    isOpen() {
+      return !res.destroyed && !res.writableEnded;
+    },
+    send(leased) {
+      stopWaiting();
+      log(`${client} retrieved ${leased.length} messages`);
+      res.json(leased);
+    }
+  };
+  const stopWaiting = () => {
+    clearTimeout(timer);
+    pollers = pollers.filter(p => p !== poller);
   };
   
-  log(`Claude -> Cline: ${message.type} message`);
-  messages.cline.push(message);
+  timer = setTimeout(() => {
+    stopWaiting();
+    res.json([]);
+  }, wait);
   
+  pollers.push(poller);
+  res.on('close', stopWaiting);
+}
+
+// GET /claude/messages - Claude retrieves its messages
+app.get('/claude/messages', drainMessages);
+
+// GET /cline/messages - Cline retrieves its messages
+app.get('/cline/messages', drainMessages);
+
+// Acknowledge processed messages so they are not redelivered
+function ackMessages(req, res) {
+  const { messageIds } = req.body;
+  if (!Array.isArray(messageIds) || !messageIds.every(id => typeof id === 'string')) {
+    return res.status(400).json({ success: false, message: 'messageIds must be an array of strings' });
+  }
+  
+  const acked = [];
+  let unknown = messageIds;
+  for (const mailbox of registry.mailboxesFor(req.identity)) {
+    const result = getQueue(mailbox).ack(unknown);
+    acked.push(...result.acked);
+    unknown = result.unknown;
+  }
+  res.json({ success: true, acked, unknown });
+}
+
+// Report a message that failed processing; it is retried or dead-lettered
+function nackMessage(req, res) {
+  const { messageId, error } = req.body;
+  if (typeof messageId !== 'string') {
+    return res.status(400).json({ success: false, message: 'messageId must be a string' });
+  }
+  
+  const mailbox = registry.mailboxesFor(req.identity).find(name => getQueue(name).nack(messageId, error));
+  if (!mailbox) {
+    return res.status(404).json({ success: false, message: `Unknown message id: ${messageId}` });
+  }
+  
+  log(`${describe(req.identity)} failed to process message ${messageId}${error ? `: ${error}` : ''}`);
+  dispatch(mailbox);
+  res.json({ success: true });
+}
+
+// POST /claude/ack and /cline/ack - { messageIds: [...] }
+app.post('/claude/ack', ackMessages);
+app.post('/cline/ack', ackMessages);
+
+// POST /claude/nack and /cline/nack - { messageId, error }
+app.post('/claude/nack', nackMessage);
+app.post('/cline/nack', nackMessage);
+
+// Requeue a dead-lettered message for another round of delivery attempts
+function requeueDeadLetter(req, res) {
+  let message = null;
+  const mailbox = registry.mailboxesFor(req.identity).find(name => {
+    message = getQueue(name).requeueDeadLetter(req.params.messageId);
+    return message;
+  });
+  if (!mailbox) {
+    return res.status(404).json({ success: false, message: `Unknown dead letter: ${req.params.messageId}` });
+  }
+  
+  log(`Requeued dead letter ${message.messageId} in ${mailbox}`);
+  dispatch(mailbox);
   res.json({ success: true });
+}
+
+// Messages in the caller's mailboxes that failed repeatedly
+function listDeadLetters(req, res) {
+  res.json(registry.mailboxesFor(req.identity).flatMap(mailbox => getQueue(mailbox).deadLetters));
+}
+
+// GET /claude/dead-letters and /cline/dead-letters - messages that failed repeatedly
+app.get('/claude/dead-letters', listDeadLetters);
+app.get('/cline/dead-letters', listDeadLetters);
+
+// POST /claude/dead-letters/:messageId/requeue and /cline/dead-letters/:messageId/requeue
+app.post('/claude/dead-letters/:messageId/requeue', requeueDeadLetter);
+app.post('/cline/dead-letters/:messageId/requeue', requeueDeadLetter);
+
+// Return messages whose lease expired to the queue and push them out again
+setInterval(() => {
+  for (const [mailbox, queue] of queues) {
+    const released = queue.expireLeases();
+    if (released) {
+      log(`Redelivering ${released} unacknowledged messages in ${mailbox}`);
+      dispatch(mailbox);
+    }
+  }
+}, LEASE_SWEEP_INTERVAL).unref();
+
+//------------------------------------------
+// EVENT STREAMS (Server-Sent Events)
+//------------------------------------------
+
+// GET /claude/events and /cline/events - push messages as they are queued.
+// The stream reads the mailboxes of the caller's session when it was opened;
+// an agent that moves to another session must reopen it.
+function openEventStream(req, res) {
+  const client = describe(req.identity);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const subscriber = {
+    identity: req.identity,
+    mailboxes: registry.mailboxesFor(req.identity),
+    isOpen() {
+      return !res.destroyed && !res.writableEnded;
+    },
+    send(leased) {
+      leased.forEach(message => {
+        res.write(`id: ${message.messageId}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`);
+      });
+    }
+  };
+  
+  subscribers.push(subscriber);
+  log(`${client} opened event stream (${subscribers.filter(s => s.identity.role === req.identity.role).length} open)`);
+  
+  // Anything queued while the client was away goes out first
+  subscriber.mailboxes.forEach(dispatch);
+  
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_INTERVAL);
+  
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    subscribers = subscribers.filter(s => s !== subscriber);
+    log(`${client} closed event stream`);
+  });
+}
+
+app.get('/claude/events', openEventStream);
+app.get('/cline/events', openEventStream);
+
+//------------------------------------------
+// FILE TRANSFER ROUTES
+//------------------------------------------
+
+// Queue a 'file' message telling the recipient a file is ready to download
+function announceFile(file) {
+  const { route } = file;
+  const message = createEnvelope(file.from, {
+    type: 'file',
+    fileId: file.id,
+    name: file.name,
+    mimeType: file.mimeType,
+    size: file.size,
+    sha256: file.sha256,
+    url: `/files/${file.id}`
+  }, route);
+  
+  log(`${capitalize(file.from)} -> ${route.mailbox}: file ${file.name} (${file.size} bytes)`);
+  deliver(route.mailbox, message);
+  transcript.record(message, route);
+}
+
+function fileSummary(file) {
+  return {
+    success: true,
+    fileId: file.id,
+    name: file.name,
+    mimeType: file.mimeType,
+    size: file.size,
+    sha256: file.sha256
+  };
+}
+
+// Report a FileTransferError or RegistryError with its status, anything else as a 500
+function sendFileError(res, error) {
+  const status = error instanceof FileTransferError || error instanceof RegistryError ? error.status : 500;
+  log(`File transfer error: ${error.message}`);
+  res.status(status).json({ success: false, message: error.message });
+}
+
+// POST /claude/file and /cline/file - send a whole file (text or base64) in one request
+function receiveFile(req, res) {
+  const error = validateRequest('fileUpload', req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  
+  try {
+    const { name, content, mimeType, sha256 } = req.body;
+    const encoding = req.body.encoding || 'utf8';
+    const route = routeFor(req);
+    const file = fileStore.add({
+      name,
+      data: decodeContent(content, encoding),
+      mimeType,
+      encoding,
+      sha256,
+      from: req.identity.role,
+      owner: req.identity,
+      route
+    });
+    
+    announceFile(file);
+    res.json(fileSummary(file));
+  } catch (err) {
+    sendFileError(res, err);
+  }
+}
+
+app.post('/claude/file', receiveFile);
+app.post('/cline/file', receiveFile);
+
+// POST /claude/file/uploads and /cline/file/uploads - start a chunked upload.
+// The recipient is fixed now and the file is announced to it on completion.
+function startUpload(req, res) {
+  const error = validateRequest('uploadStart', req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  
+  let route;
+  try {
+    route = routeFor(req);
+  } catch (err) {
+    return sendFileError(res, err);
+  }
+  
+  const { name, size, mimeType, sha256 } = req.body;
+  let upload;
+  try {
+    upload = fileStore.startUpload({ name, size, mimeType, sha256, from: req.identity.role, owner: req.identity, route });
+  } catch (err) {
+    return sendFileError(res, err);
+  }
+  
+  log(`${describe(req.identity)} started chunked upload of ${name} (${size} bytes)`);
+  res.json({ success: true, uploadId: upload.id, chunkSize: UPLOAD_CHUNK_SIZE });
+}
+
+app.post('/claude/file/uploads', startUpload);
+app.post('/cline/file/uploads', startUpload);
+
+// PUT /uploads/:uploadId?offset=<bytes> - append a raw chunk
+app.put('/uploads/:uploadId', bodyParser.raw({ type: () => true, limit: config.limits.body }), (req, res) => {
+  const offset = parseInt(req.query.offset, 10);
+  if (isNaN(offset) || offset < 0) {
+    return res.status(400).json({ success: false, message: 'Missing or invalid offset' });
+  }
+  
+  if (!Buffer.isBuffer(req.body)) {
+    return res.status(400).json({ success: false, message: 'Chunk body must be raw bytes' });
+  }
+  
+  try {
+    const upload = fileStore.appendChunk(req.params.uploadId, offset, req.body, req.identity);
+    res.json({ success: true, received: upload.received, size: upload.size });
+  } catch (err) {
+    sendFileError(res, err);
+  }
 });
 
-// POST /cline/message - Cline sends a message to Claude
-app.post('/cline/message', (req, res) => {
-  const message = {
-    content: req.body.content,
-    type: req.body.type || 'text',
-    timestamp: new Date().toISOString()
+// POST /uploads/:uploadId/complete - assemble the chunks and deliver the file
+app.post('/uploads/:uploadId/complete', (req, res) => {
+  try {
+    const file = fileStore.completeUpload(req.params.uploadId, req.identity);
+    announceFile(file);
+    res.json(fileSummary(file));
+  } catch (err) {
+    sendFileError(res, err);
+  }
+});
+
+// GET /files/:fileId - download a transferred file's content; only its sender and recipient may
+app.get('/files/:fileId', (req, res) => {
+  let file;
+  try {
+    file = fileStore.download(req.params.fileId, req.identity);
+  } catch (err) {
+    return sendFileError(res, err);
+  }
+  
+  res.set({
+    'Content-Type': file.mimeType,
+    'Content-Disposition': `attachment; filename="${encodeURIComponent(file.name)}"`,
+    'X-Content-SHA256': file.sha256
+  });
+  res.send(file.data);
+});
+
+// Remove queued `file` messages whose file is gone: expired, or held by the
+// bridge before a restart. Returns how many were removed.
+function dropStaleFileMessages() {
+  let dropped = 0;
+  for (const queue of queues.values()) {
+    const stale = queue.entries
+      .filter(entry => entry.message.type === 'file' && !fileStore.get(entry.message.fileId))
+      .map(entry => entry.message.messageId);
+    if (stale.length) {
+      dropped += queue.ack(stale).acked.length;
+    }
+  }
+  return dropped;
+}
+
+const staleOnStart = dropStaleFileMessages();
+if (staleOnStart) {
+  log(`Dropped ${staleOnStart} queued file messages; files do not survive a restart`);
+}
+
+// Drop files and uploads nobody has collected, and the messages announcing them
+setInterval(() => {
+  const removed = fileStore.expire();
+  if (removed) {
+    log(`Expired ${removed} stale files/uploads`);
+    const dropped = dropStaleFileMessages();
+    if (dropped) {
+      log(`Dropped ${dropped} queued messages for expired files`);
+    }
+  }
+}, 60000).unref();
+
+//------------------------------------------
+// MCP RPC ROUTES
+//------------------------------------------
+
+// Send a completed invocation's response and forget it
+function deliverResult(res, key) {
+  const invocation = invocations.get(key);
+  forgetInvocation(key);
+  res.json(invocation.response);
+}
+
+// POST /mcp/invoke - Claude invokes a method on Cline (the Cline in the
+// caller's session, or the agent/session named by `to`/`session`)
+app.post('/mcp/invoke', (req, res) => {
+  const { method, params, id } = req.body;
+  
+  if (typeof method !== 'string' || !method) {
+    return res.status(400).json({ success: false, message: 'Missing method' });
+  }
+  
+  if (typeof id !== 'string' && typeof id !== 'number') {
+    return res.status(400).json({ success: false, message: 'Missing or invalid id' });
+  }
+  
+  const key = String(id);
+  if (invocations.has(key)) {
+    return res.status(409).json({ success: false, message: `Invocation ${key} is already pending` });
+  }
+  
+  let route;
+  try {
+    route = routeFor(req);
+  } catch (err) {
+    return sendRegistryError(res, err);
+  }
+  
+  // The route is kept to check who responds and to add the response to the
+  // session's transcript
+  const invocation = {
+    id,
+    method,
+    params: params || {},
+    createdAt: Date.now(),
+    sessionId: route.sessionId,
+    fromAgent: route.fromAgent,
+    toAgent: route.agentId
   };
+  invocations.set(key, { ...invocation, response: null, waiters: [] });
+  store.append({ op: 'invoke', key, invocation });
+  
+  const message = createEnvelope('claude', {
+    type: 'mcp_invoke',
+    jsonrpc: '2.0',
+    id,
+    method,
+    params: params || {}
+  }, route);
+  log(`${describe(req.identity)} -> ${route.mailbox}: mcp_invoke ${method} (id ${key})`);
+  deliver(route.mailbox, message);
+  transcript.record(message, route);
+  
+  res.json({ success: true, id });
+});
+
+// Whether `identity` is who an invocation was sent to: the agent it named, or
+// a Cline in its session
+function isInvokee(invocation, identity) {
+  return invocation.toAgent
+    ? identity.agentId === invocation.toAgent
+    : identity.sessionId === invocation.sessionId;
+}
+
+// POST /mcp/response - Cline answers an invocation; only the one it was sent to may
+app.post('/mcp/response', (req, res) => {
+  const { id, result, error } = req.body;
+  const key = String(id);
+  const invocation = invocations.get(key);
+  
+  if (!invocation) {
+    return res.status(404).json({ success: false, message: `Unknown invocation id: ${key}` });
+  }
+  
+  if (!isInvokee(invocation, req.identity)) {
+    return res.status(403).json({ success: false, message: `Invocation ${key} was not sent to you` });
+  }
+  
+  if (invocation.response) {
+    return res.status(409).json({ success: false, message: `Invocation ${key} already has a response` });
+  }
   
-  log(`Cline -> Claude: ${message.type} message`);
-  messages.claude.push(message);
+  invocation.response = error
+    ? { jsonrpc: '2.0', id, error }
+    : { jsonrpc: '2.0', id, result: result === undefined ? null : result };
+  store.append({ op: 'respond', key, response: invocation.response });
+  
+  log(`Cline -> Claude: mcp_response ${invocation.method} (id ${key})${error ? ' with error' : ''}`);
+  transcript.record(createEnvelope('cline', {
+    type: 'mcp_response',
+    method: invocation.method,
+    ...invocation.response
+  }, { fromAgent: invocation.toAgent, sessionId: invocation.sessionId }), { role: 'claude', agentId: invocation.fromAgent });
+  
+  // Hand the response to the first waiting request, if any
+  const waiter = invocation.waiters.shift();
+  if (waiter) {
+    waiter();
+  }
   
   res.json({ success: true });
 });
 
-// GET /claude/messages - Claude retrieves its messages
-app.get('/claude/messages', (req, res) => {
-  const pending = [...messages.claude];
-  messages.claude = [];
+// GET /mcp/result/:id?wait=<ms> - Claude fetches (or waits for) an invocation's result
+app.get('/mcp/result/:id', (req, res) => {
+  const key = req.params.id;
+  const invocation = invocations.get(key);
+  
+  if (!invocation) {
+    return res.status(404).json({ success: false, message: `Unknown invocation id: ${key}` });
+  }
+  
+  if (invocation.response) {
+    return deliverResult(res, key);
+  }
+  
+  const wait = parseWait(req.query.wait);
+  if (!wait) {
+    return res.status(202).json({ success: true, pending: true, id: key });
+  }
+  
+  // Hold the request open until Cline responds, the wait elapses or the client goes away
+  let timer = null;
+  const stopWaiting = () => {
+    clearTimeout(timer);
+    invocation.waiters = invocation.waiters.filter(w => w !== waiter);
+  };
+  const waiter = () => {
+    stopWaiting();
+    deliverResult(res, key);
+  };
+  
+  timer = setTimeout(() => {
+    stopWaiting();
+    res.status(202).json({ success: true, pending: true, id: key });
+  }, wait);
   
-  log(`Claude retrieved ${pending.length} messages`);
-  res.json(pending);
+  invocation.waiters.push(waiter);
+  res.on('close', stopWaiting);
 });
 
-// GET /cline/messages - Cline retrieves its messages
-app.get('/cline/messages', (req, res) => {
-  const pending = [...messages.cline];
-  messages.cline = [];
+// DELETE /mcp/result/:id - Claude gives up on an invocation
+app.delete('/mcp/result/:id', (req, res) => {
+  const key = req.params.id;
+  if (!invocations.has(key)) {
+    return res.status(404).json({ success: false, message: `Unknown invocation id: ${key}` });
+  }
+  
+  log(`Claude cancelled invocation ${invocations.get(key).method} (id ${key})`);
+  forgetInvocation(key);
+  res.json({ success: true });
+});
+
+// Drop invocations nobody has collected
+setInterval(() => {
+  const cutoff = Date.now() - INVOCATION_TTL;
+  for (const [key, invocation] of invocations) {
+    if (invocation.createdAt < cutoff && invocation.waiters.length === 0) {
+      log(`Expiring unclaimed invocation ${invocation.method} (id ${key})`);
+      forgetInvocation(key);
+    }
+  }
+}, 60000).unref();
+
+//------------------------------------------
+// SESSION & AGENT ROUTES
+//------------------------------------------
+
+// Messages waiting in a mailbox, without creating it
+function availableIn(mailbox) {
+  const queue = queues.get(mailbox);
+  return queue ? queue.availableCount() : 0;
+}
+
+function sessionSummary(session) {
+  const messageStats = {};
+  ROLES.forEach(role => {
+    messageStats[role] = availableIn(sessionMailbox(session.sessionId, role));
+  });
+  
+  return {
+    ...session,
+    agents: registry.agentsIn(session.sessionId),
+    messageStats
+  };
+}
+
+// GET /sessions - every session with its agents and waiting messages
+app.get('/sessions', (req, res) => {
+  res.json({ success: true, sessions: [...registry.sessions.values()].map(sessionSummary) });
+});
+
+// GET /sessions/:sessionId
+app.get('/sessions/:sessionId', (req, res) => {
+  try {
+    res.json({ success: true, session: sessionSummary(registry.getSession(req.params.sessionId)) });
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+// POST /sessions - { sessionId?, name? }; a random id is used if none is given
+app.post('/sessions', (req, res) => {
+  try {
+    const session = registry.createSession({ sessionId: req.body.sessionId, name: req.body.name });
+    log(`${capitalize(req.client)} created session ${session.sessionId}`);
+    res.json({ success: true, session });
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+// DELETE /sessions/:sessionId - close a session, unregistering its agents and
+// dropping messages nobody collected
+app.delete('/sessions/:sessionId', (req, res) => {
+  try {
+    const mailboxes = registry.closeSession(req.params.sessionId);
+    presence.forget(client => client.sessionId === req.params.sessionId);
+    const dropped = dropQueues(mailboxes);
+    const failed = tasks.failSession(req.params.sessionId);
+    log(`${capitalize(req.client)} closed session ${req.params.sessionId} (${dropped} undelivered messages dropped, ${failed.length} unfinished tasks failed)`);
+    res.json({ success: true, droppedMessages: dropped, failedTasks: failed.length });
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+// GET /agents?session=<sessionId> - registered agents, optionally of one session
+app.get('/agents', (req, res) => {
+  const agents = req.query.session
+    ? registry.agentsIn(req.query.session)
+    : [...registry.agents.values()];
+  res.json({ success: true, agents });
+});
+
+// POST /agents - { agentId?, sessionId?, name? }; registers the caller as an
+// agent with its token's role. Registering again updates the name or session.
+app.post('/agents', (req, res) => {
+  try {
+    const agent = registry.registerAgent({
+      agentId: req.body.agentId,
+      role: req.client,
+      sessionId: req.body.sessionId || undefined,
+      name: req.body.name
+    });
+    log(`${capitalize(agent.role)} agent ${agent.agentId} registered in session ${agent.sessionId}`);
+    res.json({ success: true, agent });
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+// DELETE /agents/:agentId - unregister an agent of the caller's role
+app.delete('/agents/:agentId', (req, res) => {
+  try {
+    const agent = registry.getAgent(req.params.agentId);
+    if (agent.role !== req.client) {
+      return res.status(403).json({ success: false, message: `Agent ${agent.agentId} belongs to ${agent.role}` });
+    }
+    
+    const mailboxes = registry.unregisterAgent(agent.agentId);
+    presence.forget(client => client.agentId === agent.agentId);
+    const dropped = dropQueues(mailboxes);
+    log(`${capitalize(agent.role)} agent ${agent.agentId} unregistered (${dropped} undelivered messages dropped)`);
+    res.json({ success: true, droppedMessages: dropped });
+  } catch (error) {
+    sendRegistryError(res, error);
+  }
+});
+
+//------------------------------------------
+// TASK ROUTES
+//------------------------------------------
+
+// Report a TaskError or RegistryError with its status; anything else is rethrown
+function sendTaskError(res, error) {
+  if (error instanceof RegistryError) return sendRegistryError(res, error);
+  if (!(error instanceof TaskError)) throw error;
+  log(`Task error: ${error.message}`);
+  res.status(error.status).json({ success: false, message: error.message });
+}
+
+// Where Claude hears about a task: the agent that created it, if still
+// registered, else Claude in the task's session
+function taskCreatorRoute(task) {
+  if (task.createdBy && registry.agents.has(task.createdBy)) {
+    return { mailbox: agentMailbox(task.createdBy), sessionId: task.sessionId, role: 'claude', agentId: task.createdBy };
+  }
+  return { mailbox: sessionMailbox(task.sessionId, 'claude'), sessionId: task.sessionId, role: 'claude', agentId: null };
+}
+
+// POST /claude/tasks - { goal, title?, acceptanceCriteria?, contextFiles?, to?, session? };
+// creates a pending task and sends it to Cline as a 'task' message
+app.post('/claude/tasks', (req, res) => {
+  const error = validateRequest('taskCreate', req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  
+  let route;
+  try {
+    route = routeFor(req);
+  } catch (err) {
+    return sendTaskError(res, err);
+  }
+  
+  const { title, goal, acceptanceCriteria, contextFiles } = req.body;
+  const task = tasks.create({
+    sessionId: route.sessionId,
+    title,
+    goal,
+    acceptanceCriteria,
+    contextFiles,
+    createdBy: req.identity.agentId,
+    assignee: route.agentId
+  });
+  
+  const message = createEnvelope('claude', { type: 'task', ...taskSummary(task) }, route);
+  log(`${describe(req.identity)} -> ${route.mailbox}: task ${task.taskId} (${task.title})`);
+  deliver(route.mailbox, message);
+  transcript.record(message, route);
+  
+  res.json({ success: true, task, recipientOnline: isOnline(route) });
+});
+
+// POST /cline/tasks/:taskId/status - { status, note?, artifacts? }; records the
+// change and tells Claude with a 'taskStatus' message
+app.post('/cline/tasks/:taskId/status', (req, res) => {
+  const error = validateRequest('taskUpdate', req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
   
-  log(`Cline retrieved ${pending.length} messages`);
-  res.json(pending);
+  let update;
+  try {
+    update = tasks.update(req.params.taskId, req.identity, req.body);
+  } catch (err) {
+    return sendTaskError(res, err);
+  }
+  
+  const { task, previous } = update;
+  const route = taskCreatorRoute(task);
+  const message = createEnvelope('cline', {
+    type: 'taskStatus',
+    taskId: task.taskId,
+    title: task.title,
+    status: task.status,
+    previous,
+    note: req.body.note || null,
+    artifacts: req.body.artifacts || []
+  }, { fromAgent: req.identity.agentId, sessionId: task.sessionId });
+  
+  log(`${describe(req.identity)} -> ${route.mailbox}: task ${task.taskId} ${previous} -> ${task.status}`);
+  deliver(route.mailbox, message);
+  transcript.record(message, route);
+  
+  res.json({ success: true, task });
+});
+
+// GET /tasks?session=<sessionId>&status=<statuses>&assignee=<agentId> - tasks
+// oldest first, in the caller's session unless another is named
+app.get('/tasks', (req, res) => {
+  const statuses = req.query.status
+    ? [].concat(req.query.status).join(',').split(',').map(status => status.trim()).filter(Boolean)
+    : undefined;
+  const unknown = (statuses || []).find(status => !TASK_STATUSES.includes(status));
+  if (unknown) {
+    return res.status(400).json({ success: false, message: `Unknown task status: ${unknown}` });
+  }
+  
+  res.json({
+    success: true,
+    tasks: tasks.list({
+      sessionId: req.query.session || req.identity.sessionId,
+      statuses,
+      assignee: req.query.assignee
+    })
+  });
 });
 
+// GET /tasks/:taskId - one task with all of its status updates
+app.get('/tasks/:taskId', (req, res) => {
+  try {
+    res.json({ success: true, task: tasks.get(req.params.taskId) });
+  } catch (error) {
+    sendTaskError(res, error);
+  }
+});
+
+// Drop tasks that finished long ago
+setInterval(() => {
+  const removed = tasks.expire();
+  if (removed) {
+    log(`Expired ${removed} finished tasks`);
+  }
+}, 60 * 60 * 1000).unref();
+
+//------------------------------------------
+// HISTORY
+//------------------------------------------
+
+// Turn /history's query into a Transcript.query filter. Returns { filter } or { error }.
+function historyFilter(query) {
+  const filter = {};
+  
+  if (query.type) {
+    filter.types = [].concat(query.type).join(',').split(',').map(type => type.trim()).filter(Boolean);
+  }
+  for (const bound of ['since', 'until']) {
+    if (query[bound] === undefined) continue;
+    const time = parseTime(String(query[bound]));
+    if (isNaN(time)) {
+      return { error: `${bound} must be an ISO date or milliseconds since the epoch` };
+    }
+    filter[bound] = time;
+  }
+  if (query.participant) {
+    filter.participant = String(query.participant);
+  }
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit <= 0) {
+      return { error: 'limit must be a positive integer' };
+    }
+    filter.limit = limit;
+  }
+  return { filter };
+}
+
+// GET /history?session=<id>&type=<types>&since=<time>&until=<time>&participant=<role|agentId>&limit=<n>&format=json|markdown
+// A session's transcript (default: the caller's session), oldest first. With
+// `format` the transcript is sent as a file to save.
+app.get('/history', (req, res) => {
+  const sessionId = req.query.session || req.identity.sessionId;
+  if (!registry.sessions.has(sessionId) && !transcript.has(sessionId)) {
+    return res.status(404).json({ success: false, message: `Unknown session: ${sessionId}` });
+  }
+  
+  const format = req.query.format || 'json';
+  if (!['json', 'markdown'].includes(format)) {
+    return res.status(400).json({ success: false, message: 'format must be json or markdown' });
+  }
+  
+  const { filter, error } = historyFilter(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  
+  const entries = transcript.query(sessionId, filter);
+  if (req.query.format) {
+    const extension = format === 'markdown' ? 'md' : 'json';
+    res.set('Content-Disposition', `attachment; filename="transcript-${encodeURIComponent(sessionId)}.${extension}"`);
+  }
+  if (format === 'markdown') {
+    return res.type('text/markdown').send(toMarkdown(sessionId, entries));
+  }
+  res.json({ success: true, sessionId, entries });
+});
+
+// Drop transcript entries past their retention, and compact the history store
+// so its saved records and folded state forget them too
+setInterval(() => {
+  const removed = transcript.expire();
+  if (removed) {
+    log(`Expired ${removed} transcript entries`);
+  }
+  if (removed || historyStore.appended) {
+    try {
+      historyStore.compact();
+    } catch (error) {
+      log(`Transcript compaction error: ${error.message}`);
+    }
+  }
+}, 60 * 60 * 1000).unref();
+
+//------------------------------------------
+// PRESENCE
+//------------------------------------------
+
+// Tell the peers in a client's session that it came online or went offline
+presence.on('change', change => {
+  const { status, role, agentId, sessionId, lastSeen, reason } = change;
+  const who = describe({ role, agentId });
+  log(`${who} is ${status}${reason ? ` (${reason})` : ''}`);
+  
+  // Only peers attached now are told; others learn the peer's state when they connect
+  if (!registry.sessions.has(sessionId) || !presence.anyOnline(PEERS[role], sessionId)) return;
+  
+  deliver(sessionMailbox(sessionId, PEERS[role]), createEnvelope(role, {
+    type: 'presence',
+    status,
+    lastSeen,
+    reason
+  }, { fromAgent: agentId, sessionId }));
+});
+
+// Check a body's connectionId, and that the connection is not another client's
+function requireConnectionId(req, res) {
+  const { connectionId } = req.body;
+  if (typeof connectionId !== 'string' || !connectionId) {
+    res.status(400).json({ success: false, message: 'connectionId must be a non-empty string' });
+    return null;
+  }
+  if (!presence.ownedBy(connectionId, req.identity)) {
+    res.status(403).json({ success: false, message: 'Connection belongs to another client' });
+    return null;
+  }
+  return connectionId;
+}
+
+// Whether the peers of a client's session are connected
+function peerPresence(identity) {
+  const role = PEERS[identity.role];
+  return { role, online: presence.anyOnline(role, identity.sessionId) };
+}
+
+// POST /claude/connect and /cline/connect - { connectionId, transport? };
+// the client then heartbeats every heartbeatInterval ms
+function connectClient(req, res) {
+  const connectionId = requireConnectionId(req, res);
+  if (!connectionId) return;
+  
+  presence.connect(connectionId, req.identity, { transport: req.body.transport || null });
+  res.json({ success: true, heartbeatInterval: HEARTBEAT_INTERVAL, peer: peerPresence(req.identity) });
+}
+
+// POST /claude/heartbeat and /cline/heartbeat - { connectionId }. A 404 means
+// the bridge dropped the connection (timeout or restart); connect again.
+function heartbeat(req, res) {
+  const connectionId = requireConnectionId(req, res);
+  if (!connectionId) return;
+  
+  if (!presence.touch(connectionId)) {
+    return res.status(404).json({ success: false, message: `Unknown connection: ${connectionId}` });
+  }
+  res.json({ success: true, peer: peerPresence(req.identity) });
+}
+
+// POST /claude/disconnect and /cline/disconnect - { connectionId }
+function disconnectClient(req, res) {
+  const connectionId = requireConnectionId(req, res);
+  if (!connectionId) return;
+  
+  presence.disconnect(connectionId);
+  res.json({ success: true });
+}
+
+app.post('/claude/connect', connectClient);
+app.post('/cline/connect', connectClient);
+app.post('/claude/heartbeat', heartbeat);
+app.post('/cline/heartbeat', heartbeat);
+app.post('/claude/disconnect', disconnectClient);
+app.post('/cline/disconnect', disconnectClient);
+
+// GET /presence - every client seen since the bridge started, online or not
+app.get('/presence', (req, res) => {
+  res.json({ success: true, clients: presence.list() });
+});
+
+// Drop connections that stopped heartbeating
+setInterval(() => presence.sweep(), HEARTBEAT_INTERVAL).unref();
+
 //------------------------------------------
 // STATUS & PING
 //------------------------------------------
 
-// GET /ping?client=claude or /ping?client=cline
+// GET /ping?client=claude|cline[&session=<sessionId>] or /ping?agent=<agentId>
 app.get('/ping', (req, res) => {
-  const client = req.query.client;
+  const { client, agent, session } = req.query;
+  let identity;
   
-  if (!client || !['claude', 'cline'].includes(client)) {
-    return res.status(400).json({ success: false, message: 'Invalid client' });
+  try {
+    if (agent) {
+      identity = registry.identify(registry.getAgent(agent).role, agent);
+    } else if (ROLES.includes(client)) {
+      identity = { role: client, agentId: null, sessionId: registry.getSession(session || DEFAULT_SESSION).sessionId };
+    } else {
+      return res.status(400).json({ success: false, message: 'Invalid client' });
+    }
+  } catch (error) {
+    return sendRegistryError(res, error);
   }
   
-  const count = messages[client].length;
+  const count = registry.mailboxesFor(identity).reduce((sum, mailbox) => sum + availableIn(mailbox), 0);
   
   res.json({
     success: true,
@@ -107,25 +1304,55 @@ app.get('/ping', (req, res) => {
 app.get('/status', (req, res) => {
   const uptime = (new Date() - START_TIME) / 1000;
   
+  // Per-mailbox counts; 'claude' and 'cline' are the default session's mailboxes
+  const messageStats = {};
+  const leasedMessages = {};
+  const deadLetters = {};
+  for (const [mailbox, queue] of queues) {
+    messageStats[mailbox] = queue.availableCount();
+    leasedMessages[mailbox] = queue.leasedCount();
+    deadLetters[mailbox] = queue.deadLetters.length;
+  }
+  
+  const perRole = list => Object.fromEntries(ROLES.map(role => [role, list.filter(c => c.identity.role === role).length]));
+  
   res.json({
     status: 'running',
+    pid: process.pid,
+    supervisorPid: SUPERVISOR_PID,
     uptime: uptime,
     startTime: START_TIME.toISOString(),
-    messageStats: {
-      claude: messages.claude.length,
-      cline: messages.cline.length
-    }
+    messageStats,
+    leasedMessages,
+    deadLetters,
+    eventStreams: perRole(subscribers),
+    longPolls: perRole(pollers),
+    presence: Object.fromEntries(ROLES.map(role => [role, presence.summary(role)])),
+    sessions: registry.sessions.size,
+    agents: registry.agents.size,
+    pendingInvocations: invocations.size,
+    transcripts: transcript.sessions.size,
+    tasks: Object.fromEntries(TASK_STATUSES.map(status => [status, tasks.list({ statuses: [status] }).length])),
+    files: fileStore.files.size
   });
 });
 
 // Start server
-app.listen(PORT, () => {
-  log(`Simplified Claude-Cline Bridge started on port ${PORT}`);
+lockTaken.then(() => app.listen(PORT, HOST, () => {
+  log(`Claude-Cline Bridge started on ${HOST}:${PORT}`);
+  log(`Settings from ${config.configFile || 'defaults'}, environment and flags; client tokens are in ${config.auth.file}`);
   log(`Server PID: ${process.pid}`);
-});
+  const restored = [...queues.values()].reduce((sum, queue) => sum + queue.entries.length, 0);
+  log(`Restored ${restored} queued messages, ${invocations.size} invocations and ${registry.agents.size} agents from ${STORAGE.type} store`);
+}));
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
+function shutdown() {
   log('Server shutting down...');
+  store.close();
+  historyStore.close();
   process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
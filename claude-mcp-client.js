@@ -3,6 +3,36 @@
 
 // Import dependencies
 const fetch = require('node-fetch');
+const crypto = require('crypto');
+const { subscribe } = require('./event-stream');
+const { readClientToken } = require('./auth');
+const { CommandStream } = require('./command-stream');
+const { hashContent } = require('./file-patch');
+const { loadConfig, ConfigError } = require('./config');
+const { ensureBridge } = require('./bridge-supervisor');
+const { BridgeConnection } = require('./bridge-connection');
+
+// Settings from bridge.config.json and BRIDGE_* environment variables (see config.js)
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Files above this size are uploaded in chunks instead of one JSON request
+const SINGLE_UPLOAD_LIMIT = config.limits.singleUpload;
+
+// How long each long-poll request asks the bridge to wait for a message
+const LONG_POLL_WAIT = config.timeouts.longPollWait;
+
+// How long to wait for Cline to answer a workspace request
+const INVOKE_TIMEOUT = config.timeouts.invoke;
+
+// How many processed message ids to remember for skipping redeliveries
+const PROCESSED_ID_LIMIT = 1000;
 
 // Redirect console.log to stderr to avoid JSON parsing errors in Claude
 const originalConsoleLog = console.log;
@@ -10,47 +40,132 @@ console.log = function() {
   return console.error.apply(console, arguments);
 };
 
+// Query string for /history from getHistory's options
+function historyQuery({ session, types, since, until, participant, limit, format }) {
+    const query = new URLSearchParams();
+    const time = value => value instanceof Date ? value.toISOString() : String(value);
+    if (session) query.set('session', session);
+    if (types) query.set('type', [].concat(types).join(','));
+    if (since !== undefined) query.set('since', time(since));
+    if (until !== undefined) query.set('until', time(until));
+    if (participant) query.set('participant', participant);
+    if (limit) query.set('limit', String(limit));
+    if (format) query.set('format', format);
+    return query.toString();
+}
+
 class ClaudeMCPClient {
-    constructor(serverUrl = 'http://localhost:2612') {
+    constructor(serverUrl = config.url, options = {}) {
         this.serverUrl = serverUrl;
-        this.connected = false;
+        this.transport = options.transport || config.transport; // 'sse' or 'polling'
+        this.token = options.token || readClientToken('claude', config.auth.file);
+        this.tokenFromFile = !options.token;
+        // Joining a named session requires registering as an agent
+        this.sessionId = options.sessionId || config.session;
+        this.agentId = options.agentId || config.agentId || (this.sessionId ? crypto.randomUUID() : null);
+        this.agentName = options.agentName || config.agentName;
+        this.autoStart = options.autoStart !== undefined ? options.autoStart : config.autoStart;
+        this.eventStream = null;
         this.messageHandlers = [];
-        this.fileContentHandlers = new Map();
-        this.commandResultHandlers = new Map();
-        this.pollInterval = null;
-        this.pollIntervalTime = 2000; // 2 seconds
+        this.stateHandlers = [];
+        this.taskHandlers = [];
+        this.taskWaiters = new Map();     // taskId -> [{ resolve, reject, timeoutId }]
+        this.commandStreams = new Map();  // requestId -> CommandStream
+        this.poller = null;
+        this.pollIntervalTime = config.timeouts.pollInterval; // Minimum gap between polls if the bridge can't long-poll
         this.connectionId = Math.random().toString(36).substring(2, 15);
+        this.heartbeatTimer = null;
+        this.peerOnline = false; // Whether Cline is attached, per the bridge's presence messages
+        this.processedIds = new Set();
+        this.helpShown = false; // Whether a failed connection has explained how to start the bridge
         
-        // Simple connection approach
-        this.connectToServer();
+        // Connects now and again, with backoff, whenever the connection is lost
+        this.connection = new BridgeConnection({
+            connect: () => this.connectToServer(),
+            disconnect: () => this.stopReceiving(),
+            initialDelay: config.timeouts.reconnect,
+            maxDelay: config.timeouts.maxReconnect,
+            outboxLimit: config.limits.outbox
+        });
+        this.connection.on('state', change => this.handleStateChange(change));
+        this.connection.start();
+    }
+    
+    // 'connecting', 'connected', 'backoff' or 'closed' (see bridge-connection.js)
+    get state() {
+        return this.connection.state;
+    }
+    
+    get connected() {
+        return this.connection.state === 'connected';
+    }
+    
+    // Bearer token, connection id and, once registered as an agent, the agent id
+    authHeaders() {
+        const headers = { 'X-Connection-Id': this.connectionId };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+        if (this.agentId) {
+            headers['X-Agent-Id'] = this.agentId;
+        }
+        return headers;
     }
     
-    // Simple server check with helpful error message
+    // fetch with this client's credentials attached
+    authFetch(url, options = {}) {
+        return fetch(url, { ...options, headers: { ...options.headers, ...this.authHeaders() } });
+    }
+    
+    // One connection attempt: check the bridge answers, register, announce and
+    // start receiving. Throws if it fails; the first failure explains how to start the bridge.
     async connectToServer() {
         try {
+            if (this.autoStart) {
+                await ensureBridge(config, { onLog: console.log });
+            }
+            // Read again on every attempt: the bridge writes the file on first start
+            if (this.tokenFromFile) {
+                this.token = readClientToken('claude', config.auth.file);
+            }
             console.log(`Connecting to bridge server at ${this.serverUrl}...`);
             
-            const response = await fetch(`${this.serverUrl}/status`, {
+            const response = await this.authFetch(`${this.serverUrl}/status`, {
                 method: 'GET',
                 timeout: 3000
             });
             
-            if (response.ok) {
-                const data = await response.json();
-                console.log(`Connected to server with uptime ${data.uptime.toFixed(2)} seconds`);
-                this.startPolling();
-                this.connected = true;
+            if (response.status === 401) {
+                throw new Error('bridge rejected the auth token (set options.token or BRIDGE_TOKEN_CLAUDE)');
             }
+            if (!response.ok) {
+                throw new Error(`bridge status check failed: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            console.log(`Connected to server with uptime ${data.uptime.toFixed(2)} seconds`);
+            if (this.agentId) {
+                await this.register();
+            }
+            await this.announce();
+            await this.startReceiving();
         } catch (error) {
+            if (this.helpShown) {
+                throw error;
+            }
+            this.helpShown = true;
+            
             const errorMsg = `
 ERROR: Cannot connect to Claude-Cline bridge server at ${this.serverUrl}
 
 Please ensure the server is running by:
 1. Open a terminal
-2. Navigate to: r:/devR/mcp/Claude-Cline-Bridge
+2. Navigate to: ${__dirname}
 3. Run: npm start
 
-Or manually start with: node simplified-bridge.js
+Or manually start with: node ${__dirname}/claude-cline-bridge.js
+If the bridge runs elsewhere, set BRIDGE_URL or "url" in bridge.config.json.
+To have the bridge started automatically, pass { autoStart: true } or set BRIDGE_AUTO_START=true.
             `;
             
             console.error(errorMsg);
@@ -58,10 +173,80 @@ Or manually start with: node simplified-bridge.js
         }
     }
 
+    // Log connection changes and pass them on to onStateChange handlers
+    handleStateChange(change) {
+        if (change.state === 'backoff') {
+            const reason = change.error ? `: ${change.error.message}` : '';
+            console.log(`Bridge connection ${change.previous === 'connected' ? 'lost' : 'failed'}${reason}. Retrying in ${(change.delay / 1000).toFixed(1)}s`);
+        } else if (change.state === 'connected' && this.connection.outbox.length > 0) {
+            console.log(`Reconnected; sending ${this.connection.outbox.length} queued messages`);
+        }
+        this.stateHandlers.forEach(handler => handler(change));
+    }
+
+    // Register this client as an agent, joining its session (created if needed)
+    async register() {
+        const response = await this.authFetch(`${this.serverUrl}/agents`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ agentId: this.agentId, sessionId: this.sessionId, name: this.agentName })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`Could not register agent ${this.agentId}: ${data.message}`);
+        }
+        
+        this.sessionId = data.agent.sessionId;
+        console.log(`Registered as agent ${this.agentId} in session ${this.sessionId}`);
+        return data.agent;
+    }
+
+    // Tell the bridge this client is attached, then heartbeat so it stays online
+    async announce() {
+        try {
+            const response = await this.authFetch(`${this.serverUrl}/claude/connect`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ connectionId: this.connectionId, transport: this.transport })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || response.statusText);
+            }
+            
+            this.peerOnline = data.peer.online;
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = setInterval(() => this.heartbeat(), data.heartbeatInterval);
+            this.heartbeatTimer.unref();
+        } catch (error) {
+            console.error('Error announcing connection:', error.message);
+        }
+    }
+
+    async heartbeat() {
+        try {
+            const response = await this.authFetch(`${this.serverUrl}/claude/heartbeat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ connectionId: this.connectionId })
+            });
+            
+            // The bridge dropped this connection (it restarted, or heartbeats were late)
+            if (response.status === 404) {
+                return this.announce();
+            }
+            if (response.ok) {
+                this.peerOnline = (await response.json()).peer.online;
+            }
+        } catch (error) {
+            console.error('Error sending heartbeat:', error.message);
+        }
+    }
+
     // Get server status
     async getServerStatus() {
         try {
-            const response = await fetch(`${this.serverUrl}/status`, {
+            const response = await this.authFetch(`${this.serverUrl}/status`, {
                 method: 'GET',
                 timeout: 2000
             });
@@ -71,7 +256,8 @@ Or manually start with: node simplified-bridge.js
                 return { 
                     running: true, 
                     uptime: data.uptime,
-                    messageStats: data.messageStats
+                    messageStats: data.messageStats,
+                    presence: data.presence
                 };
             }
         } catch (error) {
@@ -81,75 +267,213 @@ Or manually start with: node simplified-bridge.js
         return { running: false };
     }
 
-    // Start polling for messages
+    // Receive messages over the bridge's event stream, falling back to polling
+    async startReceiving() {
+        if (this.transport === 'polling') {
+            return this.startPolling();
+        }
+        
+        try {
+            this.eventStream = await subscribe(`${this.serverUrl}/claude/events`, {
+                headers: this.authHeaders(),
+                onMessage: message => this.processMessage(message),
+                onClose: error => this.handleStreamClosed(error)
+            });
+            
+            // A previous fallback may still be polling
+            this.stopPolling();
+            console.log(`Subscribed to event stream at ${this.serverUrl}`);
+        } catch (error) {
+            console.log(`${error.message}; falling back to polling`);
+            this.startPolling();
+        }
+    }
+
+    // The event stream dropped; reconnecting will subscribe again
+    handleStreamClosed(error) {
+        this.eventStream = null;
+        this.connection.lost(error || new Error('Event stream closed'));
+    }
+
+    // Stop receiving and heartbeating; the next connection attempt starts them again
+    stopReceiving() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        
+        if (this.eventStream) {
+            this.eventStream.close();
+            this.eventStream = null;
+        }
+        this.stopPolling();
+    }
+
+    // Start long-polling for messages: each request waits on the bridge until one arrives
     startPolling() {
         console.log(`Starting polling for messages at ${this.serverUrl}`);
         
-        // Clear any existing interval
-        if (this.pollInterval) {
-            clearInterval(this.pollInterval);
-        }
+        // Stop any existing poll loop
+        this.stopPolling();
         
-        this.pollInterval = setInterval(async () => {
+        const poller = new AbortController();
+        this.poller = poller;
+        this.pollLoop(poller.signal);
+    }
+
+    stopPolling() {
+        if (this.poller) {
+            this.poller.abort();
+            this.poller = null;
+        }
+    }
+
+    async pollLoop(signal) {
+        while (!signal.aborted) {
+            const started = Date.now();
+            
             try {
-                // Check if there are any messages
-                const pingResponse = await fetch(`${this.serverUrl}/ping?client=claude`);
-                const pingData = await pingResponse.json();
+                const response = await this.authFetch(`${this.serverUrl}/claude/messages?wait=${LONG_POLL_WAIT}`, {
+                    signal,
+                    timeout: LONG_POLL_WAIT + 5000
+                });
+                const messages = await response.json();
                 
-                if (pingData.hasUpdates) {
-                    // Fetch messages if available
-                    const response = await fetch(`${this.serverUrl}/claude/messages`);
-                    const messages = await response.json();
-                    
-                    if (messages && messages.length > 0) {
-                        console.log(`Received ${messages.length} messages from Cline`);
-                        messages.forEach(message => this.handleMessage(message));
+                if (messages && messages.length > 0) {
+                    console.log(`Received ${messages.length} messages from Cline`);
+                    for (const message of messages) {
+                        await this.processMessage(message);
                     }
+                } else if (Date.now() - started < this.pollIntervalTime) {
+                    // The bridge answered without waiting; don't spin
+                    await new Promise(resolve => setTimeout(resolve, this.pollIntervalTime));
                 }
             } catch (error) {
-                console.error('Error polling for messages:', error.message);
-                
-                // If server disconnects, try to reconnect
-                if (this.connected) {
-                    this.connected = false;
-                    console.log('Lost connection to server. Will retry...');
-                    setTimeout(() => this.connectToServer(), 5000);
+                if (signal.aborted) {
+                    return;
                 }
+                console.error('Error polling for messages:', error.message);
+                this.stopPolling();
+                this.connection.lost(error);
+                return;
             }
-        }, this.pollIntervalTime);
+        }
     }
 
     // Clean up resources
     cleanup() {
-        this.connected = false;
+        // Rejects messages still waiting in the outbox
+        this.connection.close();
+        this.stopReceiving();
+        
+        // Let the bridge tell Cline at once rather than after a missed heartbeat
+        this.authFetch(`${this.serverUrl}/claude/disconnect`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ connectionId: this.connectionId })
+        }).catch(() => {});
+        
+        for (const stream of this.commandStreams.values()) {
+            stream.fail(new Error(`Client disconnected before "${stream.command}" finished`));
+        }
+        this.commandStreams.clear();
         
-        if (this.pollInterval) {
-            clearInterval(this.pollInterval);
-            this.pollInterval = null;
+        for (const [taskId, waiters] of this.taskWaiters) {
+            waiters.forEach(waiter => {
+                clearTimeout(waiter.timeoutId);
+                waiter.reject(new Error(`Client disconnected before task ${taskId} finished`));
+            });
         }
+        this.taskWaiters.clear();
         
         console.log('Client disconnected from bridge server');
     }
 
+    // Handle a delivered message, then ack it so the bridge does not redeliver it.
+    // Failures are nacked so the bridge can retry or dead-letter the message.
+    async processMessage(message) {
+        const { messageId } = message;
+        
+        // A redelivery of something already handled only needs acking again
+        if (messageId && this.processedIds.has(messageId)) {
+            return this.ackMessages([messageId]);
+        }
+        
+        try {
+            this.handleMessage(message);
+        } catch (error) {
+            console.error(`Error handling ${message.type} message:`, error.message);
+            if (messageId) {
+                await this.nackMessage(messageId, error.message);
+            }
+            return;
+        }
+        
+        if (messageId) {
+            this.rememberProcessed(messageId);
+            await this.ackMessages([messageId]);
+        }
+    }
+
+    rememberProcessed(messageId) {
+        this.processedIds.add(messageId);
+        if (this.processedIds.size > PROCESSED_ID_LIMIT) {
+            // Sets iterate in insertion order, so this drops the oldest id
+            this.processedIds.delete(this.processedIds.values().next().value);
+        }
+    }
+
+    async ackMessages(messageIds) {
+        try {
+            await this.authFetch(`${this.serverUrl}/claude/ack`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ messageIds })
+            });
+        } catch (error) {
+            // The message will be redelivered and skipped as already processed
+            console.error('Error acknowledging messages:', error.message);
+        }
+    }
+
+    async nackMessage(messageId, error) {
+        try {
+            await this.authFetch(`${this.serverUrl}/claude/nack`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ messageId, error })
+            });
+        } catch (err) {
+            console.error('Error reporting failed message:', err.message);
+        }
+    }
+
     // Process messages from server
     handleMessage(message) {
         switch (message.type) {
+            // Replies to request messages posted to /claude/message; getFile,
+            // updateFile and executeCommand get theirs through invoke()
             case 'fileContent':
                 // Handle file content response
-                const fileHandler = this.fileContentHandlers.get(message.path);
-                if (fileHandler) {
-                    fileHandler(message.content, message.error);
-                    this.fileContentHandlers.delete(message.path);
-                }
+                this.messageHandlers.forEach(handler => handler(message.error
+                    ? `Could not read ${message.path}: ${message.error}`
+                    : `Content of ${message.path}:\n${message.content}`, 'system'));
                 break;
 
-            case 'updateCodeResult':
+            case 'updateCodeResult': {
                 // Handle file update result
-                console.log(`File update ${message.success ? 'succeeded' : 'failed'}: ${message.path}`);
+                const updated = message.success !== false && !message.error;
+                console.log(`File update ${updated ? 'succeeded' : 'failed'}: ${message.path}`);
                 if (message.error) {
                     console.error(`Update error: ${message.error}`);
                 }
+                this.messageHandlers.forEach(handler => handler(updated
+                    ? `File ${message.path} updated`
+                    : `Could not update ${message.path}${message.error ? `: ${message.error}` : ''}`, 'system'));
                 break;
+            }
                 
             case 'fileChanged':
                 // Handle notification about file changes
@@ -160,20 +484,59 @@ Or manually start with: node simplified-bridge.js
                 );
                 break;
 
+            case 'commandOutput':
+                // Handle a chunk of output from a streamed command
+                if (this.commandStreams.has(message.requestId)) {
+                    this.commandStreams.get(message.requestId).push(message);
+                }
+                break;
+
             case 'commandResult':
-                // Handle command execution result
-                const cmdHandler = this.commandResultHandlers.get(message.command);
-                if (cmdHandler) {
-                    cmdHandler(message.output, message.error, message.success);
-                    this.commandResultHandlers.delete(message.command);
+                // Handle command execution result, ending the stream if it was streamed
+                if (this.commandStreams.has(message.requestId)) {
+                    this.commandStreams.get(message.requestId).finish(message);
+                    this.commandStreams.delete(message.requestId);
+                    break;
                 }
+                this.messageHandlers.forEach(handler => handler(
+                    `Command "${message.command}" ${message.success !== false && !message.error ? 'succeeded' : 'failed'}`
+                        + `${message.error ? `: ${message.error}` : ''}${message.output ? `\n${message.output}` : ''}`,
+                    'system'
+                ));
+                break;
+
+            case 'presence':
+                // Cline attached to or left the bridge
+                this.peerOnline = message.status === 'online';
+                console.log(`Cline${message.fromAgent ? ` (${message.fromAgent})` : ''} is ${message.status}`);
+                this.messageHandlers.forEach(handler =>
+                    handler(`Cline is ${message.status}`, 'system')
+                );
                 break;
 
+            case 'text':
             case 'message':
                 // Handle message from Cline
                 this.messageHandlers.forEach(handler => handler(message.content, message.from));
                 break;
 
+            case 'file':
+                // Handle a file sent by Cline; fetch it with downloadFile(message.fileId)
+                console.log(`Received file from Cline: ${message.name} (${message.size} bytes)`);
+                this.messageHandlers.forEach(handler =>
+                    handler(`File received: ${message.name} (${message.size} bytes, id ${message.fileId})`, message.from)
+                );
+                break;
+
+            case 'taskStatus':
+                // Cline moved a delegated task on
+                console.log(`Task ${message.taskId} is ${message.status}${message.note ? `: ${message.note}` : ''}`);
+                this.taskHandlers.forEach(handler => handler(message));
+                if (['done', 'failed'].includes(message.status)) {
+                    this.finishTask(message.taskId);
+                }
+                break;
+
             case 'messages':
                 // Handle batch of messages
                 message.messages.forEach(msg => {
@@ -183,186 +546,260 @@ Or manually start with: node simplified-bridge.js
         }
     }
 
-    // Method to get a file from Cline
-    async getFile(path) {
+    // Correlation id for one request/response round trip
+    newRequestId() {
+        return crypto.randomUUID();
+    }
+
+    // Post a message to Cline through the outbox: at once if connected, else
+    // once the connection is back. Resolves to the bridge's response.
+    postMessage(body) {
+        return this.connection.send(() => this.authFetch(`${this.serverUrl}/claude/message`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        }));
+    }
+
+    // Invoke a method on Cline through the bridge and wait for its JSON-RPC result
+    async invoke(method, params, timeout = INVOKE_TIMEOUT) {
         if (!this.connected) {
             throw new Error('Not connected to bridge server');
         }
 
-        try {
-            // Request the file by sending a message to Cline
-            const requestResponse = await fetch(`${this.serverUrl}/mcp/invoke`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    method: 'getFile',
-                    params: { path },
-                    id: Date.now()
-                })
+        const id = this.newRequestId();
+        const response = await this.authFetch(`${this.serverUrl}/mcp/invoke`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                jsonrpc: '2.0',
+                method,
+                params,
+                id
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to invoke ${method}: ${response.statusText}`);
+        }
+        
+        return this.waitForResult(id, timeout);
+    }
+
+    // Long-poll the bridge until the invocation with this id has a response
+    async waitForResult(id, timeout = INVOKE_TIMEOUT) {
+        const deadline = Date.now() + timeout;
+        
+        while (Date.now() < deadline) {
+            const wait = Math.min(deadline - Date.now(), LONG_POLL_WAIT);
+            const response = await this.authFetch(`${this.serverUrl}/mcp/result/${encodeURIComponent(id)}?wait=${wait}`, {
+                method: 'GET',
+                timeout: wait + 5000
             });
             
-            if (!requestResponse.ok) {
-                throw new Error(`Failed to request file: ${requestResponse.statusText}`);
+            // 202 means Cline has not answered yet
+            if (response.status === 202) {
+                continue;
             }
             
-            // Create a promise that will be resolved when we get the file content
-            return new Promise((resolve, reject) => {
-                // Set a timeout for the request
-                const timeoutId = setTimeout(() => {
-                    this.fileContentHandlers.delete(path);
-                    reject(new Error('Timeout waiting for file content'));
-                }, 30000);
-                
-                // Register a handler for the file content
-                this.fileContentHandlers.set(path, (content, error) => {
-                    clearTimeout(timeoutId);
-                    if (error) {
-                        reject(new Error(error));
-                    } else {
-                        resolve(content);
-                    }
-                });
-            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || `Failed to fetch result: ${response.statusText}`);
+            }
+            
+            if (data.error) {
+                const error = new Error(data.error.message);
+                error.code = data.error.code;
+                error.data = data.error.data;
+                throw error;
+            }
+            
+            return data.result;
+        }
+        
+        // Tell the bridge to forget the invocation; a late answer has nowhere to go
+        this.authFetch(`${this.serverUrl}/mcp/result/${encodeURIComponent(id)}`, { method: 'DELETE' })
+            .catch(error => console.error(`Error cancelling invocation ${id}:`, error.message));
+        
+        throw new Error(`Timeout waiting for result of invocation ${id}`);
+    }
+
+    // Method to get a file from Cline
+    async getFile(path) {
+        try {
+            const result = await this.invoke('getFile', { path });
+            return result.content;
         } catch (error) {
             console.error(`Error getting file ${path}:`, error);
             throw error;
         }
     }
 
+    // Method to read part of a file: { startLine, endLine } (1-based, inclusive) or
+    // { offset, length } in bytes, or { cursor } from a previous read's nextCursor.
+    // Resolves to { content, encoding, range, totalBytes, totalLines?, binary, nextCursor };
+    // binary files come back base64-encoded unless options.binary is 'reject'.
+    async readFile(path, options = {}) {
+        try {
+            return await this.invoke('readFile', { ...options, path });
+        } catch (error) {
+            console.error(`Error reading file ${path}:`, error);
+            throw error;
+        }
+    }
+
     // Method to update a file
     async updateFile(path, content) {
-        if (!this.connected) {
-            throw new Error('Not connected to bridge server');
+        try {
+            await this.invoke('updateFile', { path, content });
+            return { success: true, message: `File ${path} updated successfully` };
+        } catch (error) {
+            console.error(`Error updating file ${path}:`, error);
+            throw error;
         }
+    }
 
+    // Method to patch a file with { diff } (unified diff) or { edits } (search/replace
+    // pairs). Pass the content the patch was made against as options.baseContent (or
+    // its hash as options.baseHash) and Cline refuses the patch if the file has changed
+    // since; the result is then { success: false, conflict: true, content, sha256 }.
+    async patchFile(path, patch, options = {}) {
+        const baseHash = options.baseHash
+            || (typeof options.baseContent === 'string' ? hashContent(options.baseContent) : undefined);
+        
         try {
-            // Send update request
-            const response = await fetch(`${this.serverUrl}/mcp/invoke`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    method: 'updateFile',
-                    params: { path, content },
-                    id: Date.now()
-                })
-            });
-            
-            if (!response.ok) {
-                throw new Error(`Failed to update file: ${response.statusText}`);
+            const result = await this.invoke('patchFile', { path, baseHash, diff: patch.diff, edits: patch.edits });
+            return { success: true, sha256: result.sha256 };
+        } catch (error) {
+            if (error.data && error.data.code === 'PATCH_CONFLICT') {
+                return { success: false, conflict: true, content: error.data.content, sha256: error.data.sha256 };
             }
-            
-            // Create a promise that will be resolved when we get confirmation
-            return new Promise((resolve, reject) => {
-                // Set a timeout for the request
-                const timeoutId = setTimeout(() => {
-                    reject(new Error('Timeout waiting for file update confirmation'));
-                }, 30000);
-                
-                // Poll for update result
-                const checkInterval = setInterval(async () => {
-                    try {
-                        // Check for new messages
-                        const pingResponse = await fetch(`${this.serverUrl}/ping?client=claude`);
-                        const pingData = await pingResponse.json();
-                        
-                        if (pingData.hasUpdates) {
-                            const msgResponse = await fetch(`${this.serverUrl}/claude/messages`);
-                            const messages = await msgResponse.json();
-                            
-                            // Look for the update result
-                            for (const message of messages) {
-                                if (message.type === 'updateCodeResult' && message.path === path) {
-                                    clearInterval(checkInterval);
-                                    clearTimeout(timeoutId);
-                                    
-                                    if (!message.success) {
-                                        reject(new Error(message.error || 'Failed to update file'));
-                                    } else {
-                                        resolve({ success: true, message: `File ${path} updated successfully` });
-                                    }
-                                    return;
-                                }
-                            }
-                        }
-                    } catch (error) {
-                        console.error(`Error checking update result: ${error.message}`);
-                    }
-                }, 1000);
-            });
+            console.error(`Error patching file ${path}:`, error);
+            throw error;
+        }
+    }
+
+    // Method to apply several file changes at once; see changeset.js for the change
+    // format. Nothing is written unless every change is valid. Resolves to
+    // { changesetId, files }; pass the id to undoChangeset to revert it.
+    async applyChangeset(changes) {
+        try {
+            return await this.invoke('applyChangeset', { changes });
         } catch (error) {
-            console.error(`Error updating file ${path}:`, error);
+            console.error('Error applying changeset:', error);
             throw error;
         }
     }
 
-    // Method to execute a command
-    async executeCommand(command) {
-        if (!this.connected) {
-            throw new Error('Not connected to bridge server');
+    // Method to revert a changeset. Fails with a PATCH_CONFLICT error if its files
+    // were edited since, unless options.force is set.
+    async undoChangeset(changesetId, options = {}) {
+        try {
+            return await this.invoke('undoChangeset', { changesetId, force: options.force === true });
+        } catch (error) {
+            console.error(`Error undoing changeset ${changesetId}:`, error);
+            throw error;
         }
+    }
+
+    // Method to list the changesets Cline can still undo, newest first
+    async listChangesets() {
+        const result = await this.invoke('listChangesets', {});
+        return result.changesets;
+    }
 
+    // Method to list a directory in Cline's workspace. options: depth (default 1),
+    // includeIgnored (also show .gitignored files). Resolves to { path, entries, truncated }.
+    async listDirectory(path = '.', options = {}) {
+        return this.invoke('listDirectory', { ...options, path });
+    }
+
+    // Method to find files matching a glob such as "src/**/*.js", relative to the
+    // workspace root or options.cwd. Resolves to { pattern, paths, truncated }.
+    async glob(pattern, options = {}) {
+        return this.invoke('glob', { ...options, pattern });
+    }
+
+    // Method to search file contents with a regular expression. options: path,
+    // glob (limit to matching files), flags, context (lines around each match).
+    // Resolves to { query, matches: [{ path, line, column, text, before, after }], truncated }.
+    async search(query, options = {}) {
+        return this.invoke('search', { ...options, query });
+    }
+
+    // Method to get a file's size, modification time and sha256
+    async stat(path) {
+        return this.invoke('stat', { path });
+    }
+
+    // Method to execute a command; cwd is relative to Cline's workspace root.
+    // A refusal by Cline's command policy rejects with error.data.code === 'COMMAND_BLOCKED'.
+    async executeCommand(command, cwd) {
         try {
-            // Send command execution request
-            const response = await fetch(`${this.serverUrl}/mcp/invoke`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    method: 'executeCommand',
-                    params: { command },
-                    id: Date.now()
-                })
-            });
-            
-            if (!response.ok) {
-                throw new Error(`Failed to execute command: ${response.statusText}`);
-            }
-            
-            // Create a promise that will be resolved when we get the result
-            return new Promise((resolve, reject) => {
-                // Set a timeout for the request
-                const timeoutId = setTimeout(() => {
-                    this.commandResultHandlers.delete(command);
-                    reject(new Error('Timeout waiting for command result'));
-                }, 60000);
-                
-                // Register a handler for the command result
-                this.commandResultHandlers.set(command, (output, error, success) => {
-                    clearTimeout(timeoutId);
-                    if (error) {
-                        reject(new Error(error));
-                    } else {
-                        resolve({ output, success: success || true });
-                    }
-                });
-            });
+            const result = await this.invoke('executeCommand', { command, cwd });
+            return { output: result.output, success: result.success !== false };
         } catch (error) {
             console.error(`Error executing command "${command}":`, error);
             throw error;
         }
     }
 
-    // Method to send a message to Cline
-    async sendMessage(content) {
-        if (!this.connected) {
-            throw new Error('Not connected to bridge server');
+    // Run a command on Cline and receive its output as it is produced. Returns a
+    // CommandStream (see command-stream.js); there is no timeout, use cancel() instead.
+    streamCommand(command, options = {}) {
+        const requestId = this.newRequestId();
+        const stream = new CommandStream({
+            requestId,
+            command,
+            cancel: id => this.cancelCommand(id)
+        });
+        this.commandStreams.set(requestId, stream);
+        
+        const send = async () => {
+            const response = await this.postMessage({
+                type: 'executeCommand',
+                requestId,
+                command,
+                cwd: options.cwd,
+                stream: true
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to send executeCommand request: ${response.statusText}`);
+            }
+        };
+        
+        send().catch(error => {
+            this.commandStreams.delete(requestId);
+            stream.fail(error);
+        });
+        
+        return stream;
+    }
+
+    // Ask Cline to stop a command started with streamCommand
+    async cancelCommand(requestId) {
+        const response = await this.postMessage({ type: 'cancelCommand', requestId });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to cancel command ${requestId}: ${response.statusText}`);
         }
+    }
 
+    // Method to send a message to Cline
+    // options: { to } to address one agent, { session } for the Cline of another session.
+    // While disconnected the message waits in the outbox and this resolves once it is sent.
+    async sendMessage(content, options = {}) {
         try {
-            const response = await fetch(`${this.serverUrl}/claude/message`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    content,
-                    type: 'text'
-                })
+            const response = await this.postMessage({
+                content,
+                type: 'text',
+                to: options.to,
+                session: options.session
             });
             
             if (!response.ok) {
@@ -376,21 +813,36 @@ Or manually start with: node simplified-bridge.js
         }
     }
     
-    // Method to send a file to Cline
-    async sendFile(name, content) {
+    // Method to send a file to Cline. Strings are sent as UTF-8 text and Buffers as
+    // base64 (pass { encoding: 'base64' } for base64 strings); files too big for a
+    // single request are uploaded in chunks.
+    async sendFile(name, content, options = {}) {
         if (!this.connected) {
             throw new Error('Not connected to bridge server');
         }
 
         try {
-            const response = await fetch(`${this.serverUrl}/claude/file`, {
+            const binary = Buffer.isBuffer(content) || options.encoding === 'base64';
+            const data = Buffer.isBuffer(content)
+                ? content
+                : Buffer.from(content, binary ? 'base64' : 'utf8');
+            const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+
+            if (data.length > SINGLE_UPLOAD_LIMIT) {
+                return await this.uploadFileInChunks(name, data, sha256, options.mimeType);
+            }
+
+            const response = await this.authFetch(`${this.serverUrl}/claude/file`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     name,
-                    content
+                    content: binary ? data.toString('base64') : content,
+                    encoding: binary ? 'base64' : 'utf8',
+                    mimeType: options.mimeType,
+                    sha256
                 })
             });
             
@@ -405,6 +857,214 @@ Or manually start with: node simplified-bridge.js
         }
     }
 
+    // Upload a large file as a sequence of raw chunks
+    async uploadFileInChunks(name, data, sha256, mimeType) {
+        const startResponse = await this.authFetch(`${this.serverUrl}/claude/file/uploads`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                name,
+                size: data.length,
+                mimeType,
+                sha256
+            })
+        });
+        
+        if (!startResponse.ok) {
+            throw new Error(`Failed to start upload: ${startResponse.statusText}`);
+        }
+        
+        const { uploadId, chunkSize } = await startResponse.json();
+        console.log(`Uploading ${name} in chunks (${data.length} bytes)`);
+        
+        for (let offset = 0; offset < data.length; offset += chunkSize) {
+            const response = await this.authFetch(`${this.serverUrl}/uploads/${uploadId}?offset=${offset}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/octet-stream'
+                },
+                body: data.subarray(offset, offset + chunkSize)
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to upload chunk at offset ${offset}: ${response.statusText}`);
+            }
+        }
+        
+        const completeResponse = await this.authFetch(`${this.serverUrl}/uploads/${uploadId}/complete`, {
+            method: 'POST'
+        });
+        
+        if (!completeResponse.ok) {
+            throw new Error(`Failed to complete upload: ${completeResponse.statusText}`);
+        }
+        
+        return await completeResponse.json();
+    }
+
+    // Download a file announced by a 'file' message and verify its checksum
+    async downloadFile(fileId) {
+        const response = await this.authFetch(`${this.serverUrl}/files/${encodeURIComponent(fileId)}`);
+        
+        if (!response.ok) {
+            throw new Error(`Failed to download file: ${response.statusText}`);
+        }
+        
+        const data = await response.buffer();
+        const expected = response.headers.get('x-content-sha256');
+        const actual = crypto.createHash('sha256').update(data).digest('hex');
+        
+        if (expected && expected !== actual) {
+            throw new Error(`Checksum mismatch for file ${fileId}`);
+        }
+        
+        return data;
+    }
+
+    // Call one of the bridge's JSON routes (/sessions, /agents, /history, /tasks)
+    async registryRequest(method, route, body) {
+        const response = await this.authFetch(`${this.serverUrl}${route}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || response.statusText);
+        }
+        return data;
+    }
+
+    // Sessions with their agents and waiting messages
+    async listSessions() {
+        return (await this.registryRequest('GET', '/sessions')).sessions;
+    }
+
+    async createSession(sessionId, name) {
+        return (await this.registryRequest('POST', '/sessions', { sessionId, name })).session;
+    }
+
+    // Close a session, unregistering its agents and dropping undelivered messages
+    async closeSession(sessionId) {
+        return this.registryRequest('DELETE', `/sessions/${encodeURIComponent(sessionId)}`);
+    }
+
+    // Registered agents, optionally only those in one session
+    async listAgents(sessionId) {
+        const query = sessionId ? `?session=${encodeURIComponent(sessionId)}` : '';
+        return (await this.registryRequest('GET', `/agents${query}`)).agents;
+    }
+
+    // A session's transcript (default: this client's session), oldest first.
+    // Options: session, types (array), since/until (Date, ISO string or ms),
+    // participant (role or agent id), limit (newest entries only)
+    async getHistory(options = {}) {
+        return (await this.registryRequest('GET', `/history?${historyQuery(options)}`)).entries;
+    }
+
+    // The same transcript as a Markdown document ('markdown') or JSON text ('json')
+    async exportHistory(format = 'markdown', options = {}) {
+        const response = await this.authFetch(`${this.serverUrl}/history?${historyQuery({ ...options, format })}`);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || response.statusText);
+        }
+        return response.text();
+    }
+
+    // Delegate a task to Cline (see task-registry.js). task: { goal, title?,
+    // acceptanceCriteria?, contextFiles? }; options: { to, session } as for
+    // sendMessage. Resolves to the pending task with its taskId.
+    async createTask(task, options = {}) {
+        return (await this.registryRequest('POST', '/claude/tasks', {
+            ...task,
+            to: options.to,
+            session: options.session
+        })).task;
+    }
+
+    // Tasks in this client's session (or options.session), optionally with one of options.statuses
+    async listTasks(options = {}) {
+        const query = new URLSearchParams();
+        if (options.session) query.set('session', options.session);
+        if (options.statuses) query.set('status', [].concat(options.statuses).join(','));
+        return (await this.registryRequest('GET', `/tasks?${query}`)).tasks;
+    }
+
+    // One task with every status update Cline reported
+    async getTask(taskId) {
+        return (await this.registryRequest('GET', `/tasks/${encodeURIComponent(taskId)}`)).task;
+    }
+
+    // Resolve to the task once Cline reports it done or failed; rejects after `timeout` ms (0: never)
+    async waitForTask(taskId, timeout = 0) {
+        let waiter;
+        const finished = new Promise((resolve, reject) => {
+            waiter = { resolve, reject, timeoutId: null };
+            if (timeout) {
+                waiter.timeoutId = setTimeout(() => {
+                    this.removeTaskWaiter(taskId, waiter);
+                    reject(new Error(`Task ${taskId} did not finish within ${timeout / 1000}s`));
+                }, timeout);
+            }
+            if (!this.taskWaiters.has(taskId)) {
+                this.taskWaiters.set(taskId, []);
+            }
+            this.taskWaiters.get(taskId).push(waiter);
+        });
+        
+        // It may have finished before we started listening
+        let task;
+        try {
+            task = await this.getTask(taskId);
+        } catch (error) {
+            clearTimeout(waiter.timeoutId);
+            this.removeTaskWaiter(taskId, waiter);
+            throw error;
+        }
+        if (['done', 'failed'].includes(task.status)) {
+            this.finishTask(taskId);
+        }
+        return finished;
+    }
+
+    // Hand the finished task to everyone waiting for it
+    async finishTask(taskId) {
+        const waiters = this.taskWaiters.get(taskId);
+        if (!waiters) return;
+        this.taskWaiters.delete(taskId);
+        waiters.forEach(waiter => clearTimeout(waiter.timeoutId));
+        
+        try {
+            const task = await this.getTask(taskId);
+            waiters.forEach(waiter => waiter.resolve(task));
+        } catch (error) {
+            waiters.forEach(waiter => waiter.reject(error));
+        }
+    }
+
+    removeTaskWaiter(taskId, waiter) {
+        const waiters = (this.taskWaiters.get(taskId) || []).filter(w => w !== waiter);
+        if (waiters.length) {
+            this.taskWaiters.set(taskId, waiters);
+        } else {
+            this.taskWaiters.delete(taskId);
+        }
+    }
+
+    // Method to register a handler for taskStatus messages
+    // ({ taskId, title, status, previous, note, artifacts })
+    onTaskUpdate(handler) {
+        this.taskHandlers.push(handler);
+
+        // Return a function to remove the handler
+        return () => {
+            this.taskHandlers = this.taskHandlers.filter(h => h !== handler);
+        };
+    }
+
     // Method to register a message handler
     onMessage(handler) {
         this.messageHandlers.push(handler);
@@ -414,6 +1074,17 @@ Or manually start with: node simplified-bridge.js
             this.messageHandlers = this.messageHandlers.filter(h => h !== handler);
         };
     }
+
+    // Method to register a connection state handler, called with
+    // { state, previous, attempt, delay?, error? } (see bridge-connection.js)
+    onStateChange(handler) {
+        this.stateHandlers.push(handler);
+
+        // Return a function to remove the handler
+        return () => {
+            this.stateHandlers = this.stateHandlers.filter(h => h !== handler);
+        };
+    }
 }
 
 // Export the client
@@ -1,169 +1,815 @@
-// minimal-mcp-server.js
+// claude-mcp-server.js - MCP stdio server that lets Claude Desktop talk to Cline through the bridge
+const crypto = require('crypto');
 const fetch = require('node-fetch');
+const { StdioTransport, errorResponse, ErrorCodes } = require('./mcp-stdio-transport');
+const { readClientToken } = require('./auth');
+const { loadConfig, ConfigError } = require('./config');
+const { ensureBridge } = require('./bridge-supervisor');
 
 // Send log messages to stderr
 const log = (...args) => console.error(...args);
 
-log('Starting minimal MCP server...');
-
-// Send message to Claude
-function sendMessage(message) {
-  const content = JSON.stringify(message);
-  const contentLength = Buffer.byteLength(content, 'utf8');
-  process.stdout.write(`Content-Length: ${contentLength}\r\n\r\n${content}`);
-  log(`Sent: ${content}`);
-}
-
-// Process incoming messages
-let buffer = '';
-let contentLength = null;
-
-process.stdin.on('data', chunk => {
-  buffer += chunk.toString();
-  
-  while (buffer.length > 0) {
-    if (contentLength === null) {
-      const match = buffer.match(/Content-Length: (\d+)\r\n\r\n/);
-      if (!match) break;
-      
-      contentLength = parseInt(match[1], 10);
-      buffer = buffer.substring(match[0].length);
-    }
-    
-    if (buffer.length < contentLength) break;
-    
-    const message = buffer.substring(0, contentLength);
-    buffer = buffer.substring(contentLength);
-    contentLength = null;
-    
-    try {
-      const request = JSON.parse(message);
-      log(`Received: ${JSON.stringify(request)}`);
-      
-      if (request.method === 'initialize') {
-        // Respond to initialize
-        sendMessage({
-          jsonrpc: '2.0',
-          id: request.id,
-          result: {
-            serverInfo: {
-              name: 'minimal-mcp',
-              version: '1.0.0'
-            },
-            capabilities: {}
-          }
-        });
-        
-        // Register tools
-        setTimeout(() => {
-          sendMessage({
-            jsonrpc: '2.0',
-            method: 'notifications/tools',
-            params: {
-              tools: [
-                {
-                  name: 'send_message',
-                  description: 'Send a message to Cline',
-                  inputSchema: {
-                    type: 'object',
-                    properties: {
-                      content: {
-                        type: 'string',
-                        description: 'Message content'
-                      }
-                    },
-                    required: ['content']
-                  }
-                },
-                {
-                  name: 'read_messages',
-                  description: 'Read messages from Cline',
-                  inputSchema: {
-                    type: 'object',
-                    properties: {}
-                  }
-                }
-              ]
-            }
-          });
-        }, 100);
-      } 
-      else if (request.method === 'list_tools') {
-        sendMessage({
-          jsonrpc: '2.0',
-          id: request.id,
-          result: {
-            tools: [
-              {
-                name: 'send_message',
-                description: 'Send a message to Cline',
-                inputSchema: {
-                  type: 'object',
-                  properties: {
-                    content: {
-                      type: 'string',
-                      description: 'Message content'
-                    }
-                  },
-                  required: ['content']
-                }
-              },
-              {
-                name: 'read_messages',
-                description: 'Read messages from Cline',
-                inputSchema: {
-                  type: 'object',
-                  properties: {}
-                }
-              }
-            ]
-          }
-        });
+// Configuration: bridge.config.json, BRIDGE_* environment variables and
+// --<setting> flags (see config.js)
+let config;
+try {
+  config = loadConfig({ argv: process.argv.slice(2) });
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  log(error.message);
+  process.exit(1);
+}
+
+const BRIDGE_SERVER_URL = config.url;
+const SERVER_INFO = { name: 'claude-cline-bridge', version: '1.0.0' };
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+const INVOKE_TIMEOUT = config.timeouts.invoke; // How long to wait for Cline to answer a workspace request
+const LONG_POLL_WAIT = config.timeouts.longPollWait; // Longest single wait for an invocation result
+
+// Set the session setting (BRIDGE_SESSION, --session) and optionally agentId
+// to join a named session as a registered agent instead of using the default session
+const SESSION_ID = config.session;
+const AGENT_ID = config.agentId || (SESSION_ID ? crypto.randomUUID() : null);
+
+// Identifies this process to the bridge's presence tracking
+const CONNECTION_ID = crypto.randomUUID();
+
+log('Starting Claude-Cline MCP server...');
+
+// Whether the client has completed the initialize handshake
+let initialized = false;
+
+// Tools exposed to Claude
+const TOOLS = [
+  {
+    name: 'send_message',
+    description: 'Send a message to Cline',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        content: {
+          type: 'string',
+          description: 'Message content'
+        },
+        to: {
+          type: 'string',
+          description: 'Agent id to send to (default: Cline in this session)'
+        },
+        session: {
+          type: 'string',
+          description: 'Session whose Cline should get the message'
+        }
+      },
+      required: ['content']
+    }
+  },
+  {
+    name: 'read_messages',
+    description: 'Read pending messages from Cline',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'create_task',
+    description: 'Delegate a task to Cline. Cline reports accepted, in_progress, blocked, done or failed; check with get_task or read_messages',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        goal: {
+          type: 'string',
+          description: 'What Cline should achieve'
+        },
+        title: {
+          type: 'string',
+          description: 'Short title (default: the first line of the goal)'
+        },
+        acceptanceCriteria: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Conditions the result must meet'
+        },
+        contextFiles: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Workspace paths Cline should read first'
+        },
+        to: {
+          type: 'string',
+          description: 'Agent id to delegate to (default: Cline in this session)'
+        },
+        session: {
+          type: 'string',
+          description: 'Session whose Cline should get the task'
+        }
+      },
+      required: ['goal']
+    }
+  },
+  {
+    name: 'list_tasks',
+    description: 'List delegated tasks and their status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session: {
+          type: 'string',
+          description: 'Session to list (default: this session)'
+        },
+        status: {
+          type: 'string',
+          description: 'Comma-separated statuses to include, e.g. "in_progress,blocked"'
+        }
+      }
+    }
+  },
+  {
+    name: 'get_task',
+    description: "Get a delegated task with every status update, note and artifact Cline reported",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
+          type: 'string',
+          description: 'Task id returned by create_task'
+        }
+      },
+      required: ['taskId']
+    }
+  },
+  {
+    name: 'read_history',
+    description: 'Read the transcript of this session (or another) as Markdown: messages, file reads, edits and commands exchanged with Cline',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session: {
+          type: 'string',
+          description: 'Session to read (default: this session)'
+        },
+        type: {
+          type: 'string',
+          description: 'Comma-separated message types to include, e.g. "text,commandResult"'
+        },
+        since: {
+          type: 'string',
+          description: 'Only entries at or after this ISO date'
+        },
+        until: {
+          type: 'string',
+          description: 'Only entries at or before this ISO date'
+        },
+        participant: {
+          type: 'string',
+          description: 'Only entries sent or received by this role (claude, cline) or agent id'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Only the newest entries, at most this many (default 50)'
+        }
       }
-      else if (request.method === 'call_tool') {
-        const toolName = request.params.name;
-        const args = request.params.arguments;
-        
-        if (toolName === 'send_message') {
-          log(`Would send message: ${args.content}`);
-          sendMessage({
-            jsonrpc: '2.0',
-            id: request.id,
-            result: {
-              content: [{
-                type: 'text',
-                text: 'Message sent successfully'
-              }]
-            }
-          });
+    }
+  },
+  {
+    name: 'read_file',
+    description: "Read a file in Cline's workspace, or part of it by line or byte range. " +
+      'Large files are returned a page at a time; pass the returned cursor to read the next page.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File path relative to the workspace root'
+        },
+        startLine: {
+          type: 'integer',
+          minimum: 1,
+          description: 'First line to read (1-based)'
+        },
+        endLine: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Last line to read (inclusive)'
+        },
+        offset: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Byte offset to read from, for binary files or byte ranges'
+        },
+        length: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Number of bytes to read'
+        },
+        cursor: {
+          type: 'string',
+          description: 'Cursor from a previous read, to continue where it stopped'
         }
-        else if (toolName === 'read_messages') {
-          sendMessage({
-            jsonrpc: '2.0',
-            id: request.id,
-            result: {
-              content: [{
-                type: 'text',
-                text: 'No messages available'
-              }]
-            }
-          });
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'list_directory',
+    description: "List files and directories in Cline's workspace",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Directory relative to the workspace root (default: the root)'
+        },
+        depth: {
+          type: 'integer',
+          minimum: 1,
+          description: 'How many levels to descend (default 1)'
+        },
+        includeIgnored: {
+          type: 'boolean',
+          description: 'Also list files ignored by .gitignore'
+        }
+      }
+    }
+  },
+  {
+    name: 'glob_files',
+    description: "Find files in Cline's workspace matching a glob pattern such as src/**/*.js",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pattern: {
+          type: 'string',
+          description: 'Glob pattern relative to the workspace root'
+        },
+        includeIgnored: {
+          type: 'boolean',
+          description: 'Also match files ignored by .gitignore'
+        }
+      },
+      required: ['pattern']
+    }
+  },
+  {
+    name: 'search_files',
+    description: "Search file contents in Cline's workspace with a regular expression",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'JavaScript regular expression'
+        },
+        path: {
+          type: 'string',
+          description: 'Directory to search (default: the workspace root)'
+        },
+        glob: {
+          type: 'string',
+          description: 'Only search files matching this glob'
+        },
+        flags: {
+          type: 'string',
+          description: 'Regular expression flags, e.g. "i"'
+        },
+        context: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Lines of context around each match (default 2)'
+        }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'stat_file',
+    description: "Get the size, modification time and SHA-256 of a file in Cline's workspace",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File path relative to the workspace root'
+        }
+      },
+      required: ['path']
+    }
+  }
+];
+
+// Error carrying a JSON-RPC error code
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+//------------------------------------------
+// TOOL IMPLEMENTATIONS
+//------------------------------------------
+
+// Pending or completed agent registration (see SESSION_ID)
+let registration = null;
+
+// Register as AGENT_ID once, before the first call that needs it
+function ensureRegistered() {
+  if (!AGENT_ID) return Promise.resolve();
+  if (!registration) {
+    registration = rawFetch('/agents', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ agentId: AGENT_ID, sessionId: SESSION_ID || undefined, name: config.agentName || undefined })
+    }).then(async response => {
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(`Could not register agent ${AGENT_ID}: ${data.message}`);
+      }
+      log(`Registered as agent ${AGENT_ID} in session ${data.agent.sessionId}`);
+    }).catch(error => {
+      registration = null; // Try again on the next call
+      throw error;
+    });
+  }
+  return registration;
+}
+
+function sendToBridge(path, options) {
+  const token = readClientToken('claude', config.auth.file);
+  const headers = { ...options.headers };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (AGENT_ID) {
+    headers['X-Agent-Id'] = AGENT_ID;
+  }
+  headers['X-Connection-Id'] = CONNECTION_ID;
+  return fetch(`${BRIDGE_SERVER_URL}${path}`, { ...options, headers });
+}
+
+// With the autoStart setting, a bridge that is not running is started (with
+// this server's setting flags) and the request sent again
+async function rawFetch(path, options = {}) {
+  try {
+    return await sendToBridge(path, options);
+  } catch (error) {
+    if (!config.autoStart || error.code !== 'ECONNREFUSED') throw error;
+    await ensureBridge(config, { args: process.argv.slice(2), onLog: log });
+    return sendToBridge(path, options);
+  }
+}
+
+// Call the bridge as Claude, with Claude's bearer token (and agent id, if registered)
+async function bridgeFetch(path, options = {}) {
+  await ensureRegistered();
+  return rawFetch(path, options);
+}
+
+let heartbeatTimer = null;
+
+// Post to one of the bridge's presence routes; resolves to the response
+function presenceRequest(route) {
+  return bridgeFetch(`/claude/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ connectionId: CONNECTION_ID, transport: 'mcp' })
+  });
+}
+
+// Tell the bridge Claude is attached, then heartbeat so Cline sees it online
+async function announce() {
+  try {
+    const response = await presenceRequest('connect');
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || response.statusText);
+    }
+
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = setInterval(async () => {
+      try {
+        // 404: the bridge restarted or dropped the connection
+        if ((await presenceRequest('heartbeat')).status === 404) {
+          await announce();
         }
+      } catch (error) {
+        log(`Heartbeat failed: ${error.message}`);
       }
-      else {
-        sendMessage({
-          jsonrpc: '2.0',
-          id: request.id,
-          error: {
-            code: -32601,
-            message: `Method not supported: ${request.method}`
-          }
-        });
+    }, data.heartbeatInterval);
+    heartbeatTimer.unref();
+  } catch (error) {
+    log(`Could not announce connection to the bridge: ${error.message}`);
+  }
+}
+
+// Wrap plain text in an MCP tool result
+function textResult(text, isError = false) {
+  const result = { content: [{ type: 'text', text }] };
+  if (isError) {
+    result.isError = true;
+  }
+  return result;
+}
+
+// Render a bridge message for Claude
+function formatMessage(message) {
+  let body;
+  if (message.type === 'text' || message.type === 'message') {
+    body = message.content;
+  } else if (message.type === 'taskStatus') {
+    body = `task ${message.taskId} (${message.title}) is ${message.status}${message.note ? `: ${message.note}` : ''}` +
+      (message.artifacts && message.artifacts.length ? `\nArtifacts: ${JSON.stringify(message.artifacts)}` : '');
+  } else {
+    body = JSON.stringify(message);
+  }
+  return `[${message.timestamp}] ${message.type}: ${body}`;
+}
+
+// Render a task, with its status updates if `detailed`
+function formatTask(task, detailed = false) {
+  const lines = [`${task.taskId} [${task.status}] ${task.title}`];
+  if (!detailed) {
+    return lines[0];
+  }
+
+  lines.push(`Session: ${task.sessionId}${task.assignee ? `, assigned to ${task.assignee}` : ''}`, '', `Goal: ${task.goal}`);
+  if (task.acceptanceCriteria.length) {
+    lines.push('Acceptance criteria:', ...task.acceptanceCriteria.map(criterion => `- ${criterion}`));
+  }
+  if (task.contextFiles.length) {
+    lines.push(`Context files: ${task.contextFiles.join(', ')}`);
+  }
+  for (const update of task.updates) {
+    lines.push(`[${update.at}] ${update.status}${update.note ? `: ${update.note}` : ''}`);
+    if (update.artifacts.length) {
+      lines.push(`  Artifacts: ${JSON.stringify(update.artifacts)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Call a bridge JSON route; throws with the bridge's message if it fails
+async function bridgeJson(path, options = {}) {
+  const response = await bridgeFetch(path, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || response.statusText);
+  }
+  return data;
+}
+
+// Invoke a method on Cline through the bridge and wait for its result
+async function invokeCline(method, params) {
+  const id = crypto.randomUUID();
+  const response = await bridgeFetch('/mcp/invoke', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', method, params, id })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to invoke ${method}: ${response.statusText}`);
+  }
+
+  const deadline = Date.now() + INVOKE_TIMEOUT;
+  while (Date.now() < deadline) {
+    const wait = Math.min(deadline - Date.now(), LONG_POLL_WAIT);
+    const result = await bridgeFetch(`/mcp/result/${encodeURIComponent(id)}?wait=${wait}`, { timeout: wait + 5000 });
+
+    // 202 means Cline has not answered yet
+    if (result.status === 202) {
+      continue;
+    }
+
+    const data = await result.json();
+    if (!result.ok) {
+      throw new Error(data.message || `Failed to fetch result: ${result.statusText}`);
+    }
+    if (data.error) {
+      const error = new Error(data.error.message);
+      error.data = data.error.data;
+      throw error;
+    }
+    return data.result;
+  }
+
+  bridgeFetch(`/mcp/result/${encodeURIComponent(id)}`, { method: 'DELETE' }).catch(() => {});
+  throw new Error(`Cline did not answer ${method} within ${INVOKE_TIMEOUT / 1000}s`);
+}
+
+function requireString(args, name, tool) {
+  if (typeof args[name] !== 'string' || !args[name]) {
+    throw new RpcError(ErrorCodes.INVALID_PARAMS, `${tool} requires a non-empty "${name}" string`);
+  }
+}
+
+function truncationNote(result) {
+  return result.truncated ? '\n(results truncated)' : '';
+}
+
+const toolHandlers = {
+  async send_message(args) {
+    if (typeof args.content !== 'string' || !args.content) {
+      throw new RpcError(ErrorCodes.INVALID_PARAMS, 'send_message requires a non-empty "content" string');
+    }
+
+    const response = await bridgeFetch(`/claude/message`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        content: args.content,
+        type: 'text',
+        to: args.to,
+        session: args.session
+      })
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      return textResult(`Failed to send message: ${data.message || response.statusText}`, true);
+    }
+
+    return textResult(args.to ? `Message sent to ${args.to}` : 'Message sent to Cline');
+  },
+
+  async read_messages() {
+    const response = await bridgeFetch(`/claude/messages`);
+
+    if (!response.ok) {
+      return textResult(`Failed to read messages: ${response.statusText}`, true);
+    }
+
+    const messages = await response.json();
+    if (!messages.length) {
+      return textResult('No messages available');
+    }
+
+    // Once handed to Claude the messages count as processed
+    const messageIds = messages.map(message => message.messageId).filter(Boolean);
+    if (messageIds.length) {
+      await bridgeFetch(`/claude/ack`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ messageIds })
+      });
+    }
+
+    return textResult(messages.map(formatMessage).join('\n'));
+  },
+
+  async create_task(args) {
+    requireString(args, 'goal', 'create_task');
+    const { task, recipientOnline } = await bridgeJson('/claude/tasks', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        goal: args.goal,
+        title: args.title,
+        acceptanceCriteria: args.acceptanceCriteria,
+        contextFiles: args.contextFiles,
+        to: args.to,
+        session: args.session
+      })
+    });
+    const note = recipientOnline ? '' : '\n(Cline is not connected; it will get the task when it connects)';
+    return textResult(`Created task ${formatTask(task)}${note}`);
+  },
+
+  async list_tasks(args) {
+    const query = new URLSearchParams();
+    if (args.session) query.set('session', args.session);
+    if (args.status) query.set('status', args.status);
+    const { tasks } = await bridgeJson(`/tasks?${query}`);
+    return textResult(tasks.length ? tasks.map(task => formatTask(task)).join('\n') : 'No tasks');
+  },
+
+  async get_task(args) {
+    requireString(args, 'taskId', 'get_task');
+    const { task } = await bridgeJson(`/tasks/${encodeURIComponent(args.taskId)}`);
+    return textResult(formatTask(task, true));
+  },
+
+  async read_history(args) {
+    const query = new URLSearchParams({ format: 'markdown', limit: String(args.limit || 50) });
+    for (const name of ['session', 'type', 'since', 'until', 'participant']) {
+      if (args[name]) query.set(name, args[name]);
+    }
+
+    const response = await bridgeFetch(`/history?${query}`);
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      return textResult(`Failed to read history: ${data.message || response.statusText}`, true);
+    }
+    return textResult(await response.text());
+  },
+
+  async read_file(args) {
+    requireString(args, 'path', 'read_file');
+    // Without a range, read by lines so text files page cleanly
+    const byBytes = args.offset !== undefined || args.length !== undefined;
+    const result = await invokeCline('readFile', {
+      path: args.path,
+      startLine: args.startLine || (byBytes || args.cursor ? undefined : 1),
+      endLine: args.endLine,
+      offset: args.offset,
+      length: args.length,
+      cursor: args.cursor
+    }).catch(error => {
+      // Binary files cannot be read by line; fall back to a byte range
+      if (!byBytes && !args.cursor && error.data && error.data.code === 'BINARY_FILE') {
+        return invokeCline('readFile', { path: args.path, offset: 0 });
       }
-    } catch (error) {
-      log(`Error: ${error.message}`);
+      throw error;
+    });
+
+    const notes = [];
+    if (result.range && result.range.startLine) {
+      notes.push(`lines ${result.range.startLine}-${result.range.endLine}` +
+        (result.totalLines !== undefined ? ` of ${result.totalLines}` : ''));
+    } else if (result.range) {
+      notes.push(`bytes ${result.range.offset}-${result.range.offset + result.range.length}`);
+    }
+    notes.push(`${result.totalBytes} bytes total`);
+    if (result.encoding === 'base64') {
+      notes.push('binary file, content is base64');
+    }
+    if (result.nextCursor) {
+      notes.push(`more available, cursor: ${result.nextCursor}`);
+    }
+
+    return textResult(`${result.content}\n[${notes.join('; ')}]`);
+  },
+
+  async list_directory(args) {
+    const result = await invokeCline('listDirectory', {
+      path: args.path || '.',
+      depth: args.depth,
+      includeIgnored: args.includeIgnored
+    });
+    if (!result.entries.length) {
+      return textResult(`${result.path} is empty`);
+    }
+
+    const lines = result.entries.map(entry => {
+      if (entry.type === 'directory') return `${entry.path}/`;
+      if (entry.type === 'symlink') return `${entry.path} -> (symlink)`;
+      return `${entry.path} (${entry.size} bytes)`;
+    });
+    return textResult(lines.join('\n') + truncationNote(result));
+  },
+
+  async glob_files(args) {
+    requireString(args, 'pattern', 'glob_files');
+    const result = await invokeCline('glob', { pattern: args.pattern, includeIgnored: args.includeIgnored });
+    if (!result.paths.length) {
+      return textResult(`No files match ${args.pattern}`);
+    }
+    return textResult(result.paths.join('\n') + truncationNote(result));
+  },
+
+  async search_files(args) {
+    requireString(args, 'query', 'search_files');
+    const result = await invokeCline('search', {
+      query: args.query,
+      path: args.path,
+      glob: args.glob,
+      flags: args.flags,
+      context: args.context
+    });
+    if (!result.matches.length) {
+      return textResult(`No matches for /${args.query}/ in ${result.filesSearched} files`);
+    }
+
+    // grep-style: "path:line:" on matches, "path-line-" on context lines
+    const blocks = result.matches.map(match => [
+      ...match.before.map((text, i) => `${match.path}-${match.line - match.before.length + i}-${text}`),
+      `${match.path}:${match.line}:${match.text}`,
+      ...match.after.map((text, i) => `${match.path}-${match.line + 1 + i}-${text}`)
+    ].join('\n'));
+    return textResult(blocks.join('\n--\n') + truncationNote(result));
+  },
+
+  async stat_file(args) {
+    requireString(args, 'path', 'stat_file');
+    const result = await invokeCline('stat', { path: args.path });
+    return textResult(JSON.stringify(result, null, 2));
+  }
+};
+
+async function callTool(params) {
+  const name = params && params.name;
+  const handler = Object.prototype.hasOwnProperty.call(toolHandlers, name) && toolHandlers[name];
+
+  if (!handler) {
+    throw new RpcError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+  }
+
+  try {
+    return await handler(params.arguments || {});
+  } catch (error) {
+    if (error instanceof RpcError) {
+      throw error;
     }
+    // Bridge failures are reported to the model rather than as protocol errors
+    return textResult(`Bridge server error: ${error.message}`, true);
   }
+}
+
+//------------------------------------------
+// MCP METHODS
+//------------------------------------------
+
+const methods = {
+  initialize(params) {
+    const requested = params && params.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false }
+      },
+      serverInfo: SERVER_INFO
+    };
+  },
+
+  ping() {
+    return {};
+  },
+
+  'tools/list'() {
+    return { tools: TOOLS };
+  },
+
+  'tools/call'(params) {
+    return callTool(params);
+  }
+};
+
+const notifications = {
+  'notifications/initialized'() {
+    initialized = true;
+    log('Client initialized');
+    announce();
+  },
+
+  'notifications/cancelled'(params) {
+    log(`Client cancelled request ${params && params.requestId}`);
+  }
+};
+
+// Returns the JSON-RPC response for a request, or undefined for notifications
+async function handleRequest(request) {
+  if (!request || typeof request !== 'object' || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+    const id = request && request.id !== undefined ? request.id : null;
+    return errorResponse(id, ErrorCodes.INVALID_REQUEST, 'Invalid JSON-RPC request');
+  }
+
+  // Notifications have no id and never get a response
+  if (request.id === undefined) {
+    const notification = notifications[request.method];
+    if (notification) {
+      notification(request.params);
+    } else {
+      log(`Ignoring unknown notification: ${request.method}`);
+    }
+    return;
+  }
+
+  const method = Object.prototype.hasOwnProperty.call(methods, request.method) && methods[request.method];
+  if (!method) {
+    return errorResponse(request.id, ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+  }
+
+  if (!initialized && request.method !== 'initialize' && request.method !== 'ping') {
+    log(`Warning: ${request.method} received before initialization completed`);
+  }
+
+  try {
+    return { jsonrpc: '2.0', id: request.id, result: await method(request.params) };
+  } catch (error) {
+    log(`Error handling ${request.method}: ${error.message}`);
+    return errorResponse(request.id, error.code || ErrorCodes.INTERNAL_ERROR, error.message);
+  }
+}
+
+const transport = new StdioTransport({ log });
+transport.start(handleRequest);
+
+process.stdin.on('end', () => {
+  log('stdin closed, shutting down');
+  clearInterval(heartbeatTimer);
+  const disconnect = heartbeatTimer ? presenceRequest('disconnect').catch(() => {}) : Promise.resolve();
+  Promise.all([transport.drain(), disconnect]).then(() => process.exit(0));
 });
 
-log('MCP server ready');
\ No newline at end of file
+log('MCP server ready');
@@ -3,6 +3,20 @@
 
 // Import node-fetch with CommonJS style - compatible with v2.x
 const fetch = require('node-fetch');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { subscribe } = require('./event-stream');
+const { readClientToken } = require('./auth');
+const { CommandPolicy, CommandBlockedError } = require('./command-policy');
+const { WorkspaceSandbox, PathBlockedError } = require('./workspace-sandbox');
+const { applyPatch, hashContent, PatchConflictError } = require('./file-patch');
+const { ChangesetManager } = require('./changeset');
+const { WorkspaceExplorer } = require('./workspace-explorer');
+const { readRange } = require('./file-reader');
+const { loadConfig, ConfigError } = require('./config');
+const { ensureBridge } = require('./bridge-supervisor');
+const { BridgeConnection } = require('./bridge-connection');
 
 // Redirect console.log to stderr for cleaner JSON communication
 const originalConsoleLog = console.log;
@@ -10,49 +24,182 @@ console.log = function() {
   return console.error.apply(console, arguments);
 };
 
-// Configuration
-const BRIDGE_SERVER_URL = 'http://localhost:2612';
+// Configuration: bridge.config.json and BRIDGE_* environment variables (see config.js)
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+}
+const BRIDGE_SERVER_URL = config.url;
 const TOOL_NAME = 'ClaudeBridge';
-const POLL_INTERVAL = 2000; // 2 seconds
+const POLL_INTERVAL = config.timeouts.pollInterval; // Minimum gap between polls if the bridge can't long-poll
+const LONG_POLL_WAIT = config.timeouts.longPollWait; // How long each poll asks the bridge to wait for a message
+const PROCESSED_ID_LIMIT = 1000; // Processed message ids remembered for skipping redeliveries
+const TRANSPORT = config.transport; // 'sse' (event stream, falls back to polling) or 'polling'
+const SINGLE_UPLOAD_LIMIT = config.limits.singleUpload; // Larger files are uploaded in chunks
+const OUTPUT_FLUSH_INTERVAL = 200; // Streamed command output is batched for this many ms
+const OUTPUT_CHUNK_SIZE = 64 * 1024; // ...or until this many characters are buffered
+
+// Which commands Claude may run; see DEFAULT_POLICY in command-policy.js.
+// Set by the commandPolicy setting; a context.commandPolicy object overrides it.
+const COMMAND_POLICY = config.commandPolicy;
+
+// Which files Claude may read and write; see DEFAULT_SANDBOX in workspace-sandbox.js.
+// Set by the workspaceSandbox setting; a context.workspaceSandbox object overrides it.
+const WORKSPACE_SANDBOX = config.workspaceSandbox;
+
+// Refusals by the command policy or workspace sandbox carry a code and the rule that blocked them
+function isRefusal(error) {
+    return error instanceof CommandBlockedError || error instanceof PathBlockedError;
+}
+
+// Extra commandResult/fileContent/updateCodeResult fields describing a refusal
+function refusalFields(error) {
+    if (!isRefusal(error)) {
+        return {};
+    }
+    return { errorCode: error.code, policy: { rule: error.rule, pattern: error.pattern } };
+}
+
+// Routing fields that send a reply back to whoever sent `message`: the agent
+// itself if it is registered, else the Claude side of the session it came from
+function replyRoute(message) {
+    if (message.fromAgent) {
+        return { to: message.fromAgent };
+    }
+    return message.sessionId ? { session: message.sessionId } : {};
+}
 
 class ClaudeBridgeTool {
     constructor(context) {
         this.context = context;
-        this.connected = false;
-        this.pollInterval = null;
+        this.token = context.token || readClientToken('cline', config.auth.file);
+        this.tokenFromFile = !context.token;
+        // Joining a named session requires registering as an agent
+        this.sessionId = context.sessionId || config.session;
+        this.agentId = context.agentId || config.agentId || (this.sessionId ? crypto.randomUUID() : null);
+        this.agentName = context.agentName || config.agentName;
+        this.autoStart = context.autoStart !== undefined ? context.autoStart : config.autoStart;
+        const workspaceRoot = context.workspaceRoot || process.cwd();
+        this.commandPolicy = new CommandPolicy(
+            { ...COMMAND_POLICY, ...context.commandPolicy },
+            { workspaceRoot }
+        );
+        this.sandbox = new WorkspaceSandbox(
+            { ...WORKSPACE_SANDBOX, ...context.workspaceSandbox },
+            { workspaceRoot }
+        );
+        this.changesets = new ChangesetManager({
+            sandbox: this.sandbox,
+            readFile: file => this.context.readFile(file),
+            writeFile: (file, content) => this.context.writeFile(file, content),
+            deleteFile: context.deleteFile && (file => this.context.deleteFile(file)),
+            backupDir: path.join(config.dataDir, 'changesets')
+        });
+        this.explorer = new WorkspaceExplorer({ sandbox: this.sandbox });
+        this.poller = null;
         this.pollIntervalTime = POLL_INTERVAL;
+        this.eventStream = null;
+        this.messageChain = Promise.resolve();
         this.connectionId = Math.random().toString(36).substring(2, 15);
+        this.heartbeatTimer = null;
+        this.peerOnline = false; // Whether Claude is attached, per the bridge's presence messages
+        this.processedIds = new Set();
+        this.helpShown = false; // Whether a failed connection has explained how to start the bridge
+        this.runningCommands = new Map(); // requestId -> child process of a streamed command
+        // Called with each connection state change; context.onStateChange is the first
+        this.stateHandlers = typeof context.onStateChange === 'function' ? [context.onStateChange] : [];
         
-        // Simple server check and connect
-        this.connectToServer();
+        // Connects now and again, with backoff, whenever the connection is lost
+        this.connection = new BridgeConnection({
+            connect: () => this.connectToServer(),
+            disconnect: () => this.stopReceiving(),
+            initialDelay: config.timeouts.reconnect,
+            maxDelay: config.timeouts.maxReconnect,
+            outboxLimit: config.limits.outbox
+        });
+        this.connection.on('state', change => this.handleStateChange(change));
+        this.connection.start();
     }
     
-    // Simple server check with helpful error message
+    // 'connecting', 'connected', 'backoff' or 'closed' (see bridge-connection.js)
+    get state() {
+        return this.connection.state;
+    }
+    
+    get connected() {
+        return this.connection.state === 'connected';
+    }
+    
+    // Bearer token, connection id and, once registered as an agent, the agent id
+    authHeaders() {
+        const headers = { 'X-Connection-Id': this.connectionId };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+        if (this.agentId) {
+            headers['X-Agent-Id'] = this.agentId;
+        }
+        return headers;
+    }
+    
+    // fetch with this client's credentials attached
+    authFetch(url, options = {}) {
+        return fetch(url, { ...options, headers: { ...options.headers, ...this.authHeaders() } });
+    }
+    
+    // One connection attempt: check the bridge answers, register, announce and
+    // start receiving. Throws if it fails; the first failure explains how to start the bridge.
     async connectToServer() {
         try {
+            if (this.autoStart) {
+                await ensureBridge(config, { onLog: message => this.context.log(message) });
+            }
+            // Read again on every attempt: the bridge writes the file on first start
+            if (this.tokenFromFile) {
+                this.token = readClientToken('cline', config.auth.file);
+            }
             this.context.log(`Connecting to bridge server at ${BRIDGE_SERVER_URL}...`);
             
-            const response = await fetch(`${BRIDGE_SERVER_URL}/status`, {
+            const response = await this.authFetch(`${BRIDGE_SERVER_URL}/status`, {
                 method: 'GET',
                 timeout: 3000
             });
             
-            if (response.ok) {
-                const data = await response.json();
-                this.context.log(`Connected to server with uptime ${data.uptime.toFixed(2)} seconds`);
-                this.startPolling();
-                this.connected = true;
+            if (response.status === 401) {
+                throw new Error('bridge rejected the auth token (set context.token or BRIDGE_TOKEN_CLINE)');
+            }
+            if (!response.ok) {
+                throw new Error(`bridge status check failed: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            this.context.log(`Connected to server with uptime ${data.uptime.toFixed(2)} seconds`);
+            if (this.agentId) {
+                await this.register();
             }
+            await this.announce();
+            await this.startReceiving();
         } catch (error) {
+            if (this.helpShown) {
+                throw error;
+            }
+            this.helpShown = true;
+            
             const errorMsg = `
 ERROR: Cannot connect to Claude-Cline bridge server at ${BRIDGE_SERVER_URL}
 
 Please ensure the server is running by:
 1. Open a terminal
-2. Navigate to: r:/devR/mcp/Claude-Cline-Bridge
+2. Navigate to: ${__dirname}
 3. Run: npm start
 
-Or manually start with: node simplified-bridge.js
+Or manually start with: node ${path.join(__dirname, 'claude-cline-bridge.js')}
+If the bridge runs elsewhere, set BRIDGE_URL or "url" in bridge.config.json.
+To have the bridge started automatically, set BRIDGE_AUTO_START=true or "autoStart": true.
             `;
             
             this.context.log(errorMsg);
@@ -60,108 +207,340 @@ Or manually start with: node simplified-bridge.js
         }
     }
 
-    // Start polling for messages from Claude
+    // Log connection changes and pass them on to onStateChange handlers
+    handleStateChange(change) {
+        if (change.state === 'backoff') {
+            const reason = change.error ? `: ${change.error.message}` : '';
+            this.context.log(`Bridge connection ${change.previous === 'connected' ? 'lost' : 'failed'}${reason}. Retrying in ${(change.delay / 1000).toFixed(1)}s`);
+        } else if (change.state === 'connected' && this.connection.outbox.length > 0) {
+            this.context.log(`Reconnected; sending ${this.connection.outbox.length} queued messages`);
+        }
+        this.stateHandlers.forEach(handler => handler(change));
+    }
+
+    // Register a connection state handler, called with { state, previous,
+    // attempt, delay?, error? }. Returns a function that removes it.
+    onStateChange(handler) {
+        this.stateHandlers.push(handler);
+        return () => {
+            this.stateHandlers = this.stateHandlers.filter(h => h !== handler);
+        };
+    }
+
+    // Register this window as an agent, joining its session (created if needed)
+    async register() {
+        const response = await this.authFetch(`${BRIDGE_SERVER_URL}/agents`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ agentId: this.agentId, sessionId: this.sessionId, name: this.agentName })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`Could not register agent ${this.agentId}: ${data.message}`);
+        }
+        
+        this.sessionId = data.agent.sessionId;
+        this.context.log(`Registered as agent ${this.agentId} in session ${this.sessionId}`);
+        return data.agent;
+    }
+
+    // Tell the bridge this window is attached, then heartbeat so it stays online
+    async announce() {
+        try {
+            const response = await this.authFetch(`${BRIDGE_SERVER_URL}/cline/connect`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ connectionId: this.connectionId, transport: TRANSPORT })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || response.statusText);
+            }
+            
+            this.peerOnline = data.peer.online;
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = setInterval(() => this.heartbeat(), data.heartbeatInterval);
+            this.heartbeatTimer.unref();
+        } catch (error) {
+            this.context.log(`Error announcing connection: ${error.message}`);
+        }
+    }
+
+    async heartbeat() {
+        try {
+            const response = await this.authFetch(`${BRIDGE_SERVER_URL}/cline/heartbeat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ connectionId: this.connectionId })
+            });
+            
+            // The bridge dropped this connection (it restarted, or heartbeats were late)
+            if (response.status === 404) {
+                return this.announce();
+            }
+            if (response.ok) {
+                this.peerOnline = (await response.json()).peer.online;
+            }
+        } catch (error) {
+            this.context.log(`Error sending heartbeat: ${error.message}`);
+        }
+    }
+
+    // Receive messages over the bridge's event stream, falling back to polling
+    async startReceiving() {
+        if (TRANSPORT === 'polling') {
+            return this.startPolling();
+        }
+        
+        try {
+            this.eventStream = await subscribe(`${BRIDGE_SERVER_URL}/cline/events`, {
+                headers: this.authHeaders(),
+                // Handle messages one at a time, in arrival order
+                onMessage: message => {
+                    this.messageChain = this.messageChain.then(() => this.processMessage(message));
+                },
+                onClose: error => this.handleStreamClosed(error)
+            });
+            
+            // A previous fallback may still be polling
+            this.stopPolling();
+            this.context.log(`Subscribed to event stream at ${BRIDGE_SERVER_URL}`);
+        } catch (error) {
+            this.context.log(`${error.message}; falling back to polling`);
+            this.startPolling();
+        }
+    }
+
+    // The event stream dropped; reconnecting will subscribe again
+    handleStreamClosed(error) {
+        this.eventStream = null;
+        this.connection.lost(error || new Error('Event stream closed'));
+    }
+
+    // Stop receiving and heartbeating; the next connection attempt starts them again
+    stopReceiving() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        
+        if (this.eventStream) {
+            this.eventStream.close();
+            this.eventStream = null;
+        }
+        this.stopPolling();
+    }
+
+    // Start long-polling for messages from Claude: each request waits on the bridge until one arrives
     startPolling() {
         this.context.log(`Starting polling for messages at ${BRIDGE_SERVER_URL}`);
         
-        // Clear any existing interval
-        if (this.pollInterval) {
-            clearInterval(this.pollInterval);
-        }
+        // Stop any existing poll loop
+        this.stopPolling();
         
-        this.pollInterval = setInterval(async () => {
+        const poller = new AbortController();
+        this.poller = poller;
+        this.pollLoop(poller.signal);
+    }
+
+    stopPolling() {
+        if (this.poller) {
+            this.poller.abort();
+            this.poller = null;
+        }
+    }
+
+    async pollLoop(signal) {
+        while (!signal.aborted) {
+            const started = Date.now();
+            
             try {
-                // First check if there are any messages using ping
-                const pingResponse = await fetch(`${BRIDGE_SERVER_URL}/ping?client=cline`);
-                const pingData = await pingResponse.json();
+                const response = await this.authFetch(`${BRIDGE_SERVER_URL}/cline/messages?wait=${LONG_POLL_WAIT}`, {
+                    signal,
+                    timeout: LONG_POLL_WAIT + 5000
+                });
+                const messages = await response.json();
                 
-                if (pingData.hasUpdates) {
-                    // Fetch messages if there are updates
-                    const response = await fetch(`${BRIDGE_SERVER_URL}/cline/messages`);
-                    const messages = await response.json();
+                if (messages && messages.length > 0) {
+                    this.context.log(`Received ${messages.length} messages from Claude`);
                     
-                    if (messages && messages.length > 0) {
-                        this.context.log(`Received ${messages.length} messages from Claude`);
-                        
-                        // Process each message
-                        for (const message of messages) {
-                            await this.handleMessage(message);
-                        }
+                    // Process each message
+                    for (const message of messages) {
+                        await this.processMessage(message);
                     }
+                } else if (Date.now() - started < this.pollIntervalTime) {
+                    // The bridge answered without waiting; don't spin
+                    await new Promise(resolve => setTimeout(resolve, this.pollIntervalTime));
                 }
             } catch (error) {
-                this.context.log(`Error polling for messages: ${error.message}`);
-                // If server disconnects, we can try to reconnect
-                if (this.connected) {
-                    this.connected = false;
-                    this.context.log('Lost connection to server. Will retry...');
-                    setTimeout(() => this.connectToServer(), 5000);
+                if (signal.aborted) {
+                    return;
                 }
+                this.context.log(`Error polling for messages: ${error.message}`);
+                this.stopPolling();
+                this.connection.lost(error);
+                return;
             }
-        }, this.pollIntervalTime);
+        }
     }
 
-    async handleMessage(message) {
-        this.context.log(`Processing message of type: ${message.type}`);
+    // Handle a delivered message, then ack it so the bridge does not redeliver it.
+    // Failures are nacked so the bridge can retry or dead-letter the message.
+    async processMessage(message) {
+        const { messageId } = message;
+        
+        // A redelivery of something already handled only needs acking again
+        if (messageId && this.processedIds.has(messageId)) {
+            return this.ackMessages([messageId]);
+        }
         
         try {
-            switch (message.type) {
-                case 'fileRequest':
-                    await this.handleFileRequest(message);
-                    break;
-
-                case 'updateCode':
-                    await this.handleUpdateCode(message);
-                    break;
-
-                case 'executeCommand':
-                    await this.handleExecuteCommand(message);
-                    break;
-
-                case 'message':
-                    // Display message from Claude in the Cline interface
-                    this.context.log(`Claude: ${message.content}`);
-                    break;
-                    
-                case 'mcp_invoke':
-                    // Handle special MCP requests
-                    await this.handleMcpInvoke(message);
-                    break;
-            }
+            await this.handleMessage(message);
         } catch (error) {
             this.context.log(`Error handling message: ${error.message}`);
+            if (messageId) {
+                await this.nackMessage(messageId, error.message);
+            }
+            return;
+        }
+        
+        if (messageId) {
+            this.rememberProcessed(messageId);
+            await this.ackMessages([messageId]);
         }
     }
 
-    async handleFileRequest(message) {
-        try {
-            // Use the provided VSCode API to read the file
-            const content = await this.context.readFile(message.path);
+    rememberProcessed(messageId) {
+        this.processedIds.add(messageId);
+        if (this.processedIds.size > PROCESSED_ID_LIMIT) {
+            // Sets iterate in insertion order, so this drops the oldest id
+            this.processedIds.delete(this.processedIds.values().next().value);
+        }
+    }
 
-            // Send file content back to Claude
-            await fetch(`${BRIDGE_SERVER_URL}/cline/message`, {
+    async ackMessages(messageIds) {
+        try {
+            await this.authFetch(`${BRIDGE_SERVER_URL}/cline/ack`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    type: 'fileContent',
-                    path: message.path,
-                    content
-                })
+                body: JSON.stringify({ messageIds })
             });
         } catch (error) {
-            // Send error back to Claude
-            await fetch(`${BRIDGE_SERVER_URL}/cline/message`, {
+            // The message will be redelivered and skipped as already processed
+            this.context.log(`Error acknowledging messages: ${error.message}`);
+        }
+    }
+
+    async nackMessage(messageId, error) {
+        try {
+            await this.authFetch(`${BRIDGE_SERVER_URL}/cline/nack`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    type: 'fileContent',
-                    path: message.path,
-                    error: error.message
-                })
+                body: JSON.stringify({ messageId, error })
+            });
+        } catch (err) {
+            this.context.log(`Error reporting failed message: ${err.message}`);
+        }
+    }
+
+    // Post to the bridge through the outbox: at once if connected, else once the
+    // connection is back. Resolves to the bridge's response.
+    sendThroughOutbox(route, body) {
+        return this.connection.send(() => this.authFetch(`${BRIDGE_SERVER_URL}${route}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        }));
+    }
+
+    // A message for Claude
+    postMessage(body) {
+        return this.sendThroughOutbox('/cline/message', body);
+    }
+
+    // The JSON-RPC response to an mcp_invoke
+    postResponse(body) {
+        return this.sendThroughOutbox('/mcp/response', body);
+    }
+
+    async handleMessage(message) {
+        this.context.log(`Processing message of type: ${message.type}`);
+        
+        switch (message.type) {
+            case 'fileRequest':
+                await this.handleFileRequest(message);
+                break;
+
+            case 'updateCode':
+                await this.handleUpdateCode(message);
+                break;
+
+            case 'executeCommand':
+                await this.handleExecuteCommand(message);
+                break;
+
+            case 'cancelCommand':
+                this.handleCancelCommand(message);
+                break;
+
+            case 'presence':
+                // Claude attached to or left the bridge
+                this.peerOnline = message.status === 'online';
+                this.context.log(`Claude${message.fromAgent ? ` (${message.fromAgent})` : ''} is ${message.status}`);
+                break;
+
+            case 'text':
+            case 'message':
+                // Display message from Claude in the Cline interface
+                this.context.log(`Claude: ${message.content}`);
+                break;
+                
+            case 'file':
+                // File sent by Claude; fetch it with downloadFile(message.fileId)
+                this.context.log(`Claude sent file ${message.name} (${message.size} bytes, id ${message.fileId})`);
+                break;
+
+            case 'task':
+                // Task delegated by Claude; report progress with updateTask
+                this.context.log(`Claude delegated task ${message.taskId}: ${message.title}`);
+                if (typeof this.context.onTask === 'function') {
+                    await this.context.onTask(message);
+                }
+                break;
+
+            case 'mcp_invoke':
+                // Handle special MCP requests
+                await this.handleMcpInvoke(message);
+                break;
+        }
+    }
+
+    async handleFileRequest(message) {
+        try {
+            // Use the provided VSCode API to read the file
+            const content = await this.context.readFile(this.sandbox.resolve(message.path));
+
+            // Send file content back to Claude
+            await this.postMessage({
+                type: 'fileContent',
+                requestId: message.requestId,
+                ...replyRoute(message),
+                path: message.path,
+                content
+            });
+        } catch (error) {
+            // Send error back to Claude
+            await this.postMessage({
+                type: 'fileContent',
+                requestId: message.requestId,
+                ...replyRoute(message),
+                path: message.path,
+                error: error.message,
+                ...refusalFields(error)
             });
         }
     }
@@ -169,72 +548,210 @@ Or manually start with: node simplified-bridge.js
     async handleUpdateCode(message) {
         try {
             // Use the provided VSCode API to update the file
-            await this.context.writeFile(message.path, message.content);
+            await this.context.writeFile(this.sandbox.resolve(message.path), message.content);
 
             // Send success response back to Claude
-            await fetch(`${BRIDGE_SERVER_URL}/cline/message`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    type: 'updateCodeResult',
-                    path: message.path,
-                    success: true
-                })
+            await this.postMessage({
+                type: 'updateCodeResult',
+                requestId: message.requestId,
+                ...replyRoute(message),
+                path: message.path,
+                success: true
             });
         } catch (error) {
             // Send error back to Claude
-            await fetch(`${BRIDGE_SERVER_URL}/cline/message`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    type: 'updateCodeResult',
-                    path: message.path,
-                    success: false,
-                    error: error.message
-                })
+            await this.postMessage({
+                type: 'updateCodeResult',
+                requestId: message.requestId,
+                ...replyRoute(message),
+                path: message.path,
+                success: false,
+                error: error.message,
+                ...refusalFields(error)
             });
         }
     }
 
+    // Check a command against the policy, asking the user first if the policy
+    // requires it. Returns the absolute working directory to run it in and
+    // throws CommandBlockedError when refused.
+    async checkCommand(command, cwd) {
+        const verdict = this.commandPolicy.evaluate(command, { cwd });
+        
+        if (verdict.decision === 'deny') {
+            throw new CommandBlockedError(verdict);
+        }
+        
+        if (verdict.decision === 'confirm') {
+            if (typeof this.context.confirm !== 'function') {
+                throw new CommandBlockedError({ rule: 'requireConfirmation', reason: 'No way to ask the user for confirmation' });
+            }
+            
+            const approved = await this.context.confirm(`Claude wants to run:\n${command}\n\n${verdict.reason}. Allow it?`);
+            if (!approved) {
+                throw new CommandBlockedError({ rule: 'requireConfirmation', reason: 'The user declined to run the command' });
+            }
+        }
+        
+        return this.commandPolicy.resolveCwd(cwd);
+    }
+
+    // Run a command allowed by the policy and return its output
+    async runCommand(command, cwd) {
+        const directory = await this.checkCommand(command, cwd);
+
+        // Use the provided VSCode API to execute the command
+        return this.context.executeCommand(command, { cwd: directory });
+    }
+
     async handleExecuteCommand(message) {
+        if (message.stream) {
+            return this.handleStreamCommand(message);
+        }
+
         try {
-            // Use the provided VSCode API to execute the command
-            const output = await this.context.executeCommand(message.command);
+            const output = await this.runCommand(message.command, message.cwd);
 
             // Send command output back to Claude
-            await fetch(`${BRIDGE_SERVER_URL}/cline/message`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    type: 'commandResult',
-                    command: message.command,
-                    output,
-                    success: true
-                })
+            await this.postMessage({
+                type: 'commandResult',
+                requestId: message.requestId,
+                ...replyRoute(message),
+                command: message.command,
+                output,
+                success: true
             });
         } catch (error) {
             // Send error back to Claude
-            await fetch(`${BRIDGE_SERVER_URL}/cline/message`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    type: 'commandResult',
-                    command: message.command,
-                    success: false,
-                    error: error.message
-                })
+            await this.postMessage({
+                type: 'commandResult',
+                requestId: message.requestId,
+                ...replyRoute(message),
+                command: message.command,
+                success: false,
+                error: error.message,
+                ...refusalFields(error)
             });
         }
     }
     
+    // Apply a diff or search/replace edits to a file, refusing with
+    // PatchConflictError if it no longer matches the hash Claude based them on
+    async patchFile({ path, baseHash, diff, edits }) {
+        const file = this.sandbox.resolve(path);
+        const current = await this.context.readFile(file);
+
+        if (baseHash && hashContent(current) !== baseHash) {
+            throw new PatchConflictError(path, current);
+        }
+
+        const content = applyPatch(current, { diff, edits });
+        await this.context.writeFile(file, content);
+        return { success: true, sha256: hashContent(content) };
+    }
+
+    // Run a command in a child process, sending its output to Claude as
+    // commandOutput messages while it runs and a commandResult with the exit code
+    // at the end. Returns once the command has started, so a cancelCommand for it
+    // can be handled while it runs.
+    async handleStreamCommand(message) {
+        const { requestId, command } = message;
+
+        // Messages for this command go through the outbox, so they stay in order
+        const send = body => this.postMessage({ ...body, ...replyRoute(message) })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(response.statusText);
+                }
+            })
+            .catch(error => this.context.log(`Error sending output of "${command}": ${error.message}`));
+        const sendResult = fields => send({ type: 'commandResult', requestId, command, ...fields });
+
+        let cwd;
+        try {
+            cwd = await this.checkCommand(command, message.cwd);
+        } catch (error) {
+            return sendResult({ success: false, error: error.message, ...refusalFields(error) });
+        }
+
+        // In its own process group (except on Windows) so cancelling also stops its children
+        const child = spawn(command, {
+            cwd,
+            shell: true,
+            stdio: ['ignore', 'pipe', 'pipe'],
+            detached: process.platform !== 'win32'
+        });
+        this.runningCommands.set(requestId, child);
+
+        let seq = 0;
+        let flushTimer = null;
+        const buffered = { stdout: '', stderr: '' };
+        const flush = () => {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+            for (const stream of ['stdout', 'stderr']) {
+                if (!buffered[stream]) continue;
+                send({ type: 'commandOutput', requestId, stream, data: buffered[stream], seq: seq++ });
+                buffered[stream] = '';
+            }
+        };
+
+        for (const stream of ['stdout', 'stderr']) {
+            child[stream].setEncoding('utf8');
+            child[stream].on('data', data => {
+                buffered[stream] += data;
+                if (buffered[stream].length >= OUTPUT_CHUNK_SIZE) {
+                    flush();
+                } else if (!flushTimer) {
+                    flushTimer = setTimeout(flush, OUTPUT_FLUSH_INTERVAL);
+                }
+            });
+        }
+
+        let finished = false;
+        const finish = fields => {
+            if (finished) return;
+            finished = true;
+            this.runningCommands.delete(requestId);
+            flush();
+            sendResult(fields);
+        };
+
+        child.on('error', error => finish({ success: false, error: error.message }));
+        child.on('close', (exitCode, signal) => finish({
+            success: exitCode === 0,
+            exitCode,
+            signal,
+            cancelled: child.cancelled === true
+        }));
+
+        this.context.log(`Running "${command}" in ${cwd} (request ${requestId})`);
+    }
+
+    // Stop a command started by handleStreamCommand
+    handleCancelCommand(message) {
+        const child = this.runningCommands.get(message.requestId);
+        if (!child) {
+            this.context.log(`No running command for request ${message.requestId}`);
+            return;
+        }
+
+        child.cancelled = true;
+        this.killCommand(child);
+    }
+
+    killCommand(child) {
+        try {
+            if (process.platform !== 'win32') {
+                process.kill(-child.pid, 'SIGTERM');
+            } else {
+                child.kill('SIGTERM');
+            }
+        } catch (error) {
+            this.context.log(`Error stopping command: ${error.message}`);
+        }
+    }
+
     async handleMcpInvoke(message) {
         try {
             let result;
@@ -242,17 +759,56 @@ Or manually start with: node simplified-bridge.js
             // Handle different MCP methods
             switch (message.method) {
                 case 'getFile':
-                    const content = await this.context.readFile(message.params.path);
-                    result = { content };
+                    const content = await this.context.readFile(this.sandbox.resolve(message.params.path));
+                    result = { content, sha256: hashContent(content) };
+                    break;
+                    
+                case 'readFile': {
+                    // Part of a file, for paging through files too large for getFile
+                    const { path, startLine, endLine, offset, length, cursor, binary } = message.params;
+                    result = await readRange(this.sandbox.resolve(path), { startLine, endLine, offset, length, cursor, binary });
                     break;
+                }
                     
                 case 'updateFile':
-                    await this.context.writeFile(message.params.path, message.params.content);
+                    await this.context.writeFile(this.sandbox.resolve(message.params.path), message.params.content);
                     result = { success: true };
                     break;
                     
+                case 'patchFile':
+                    result = await this.patchFile(message.params);
+                    break;
+                    
+                case 'applyChangeset':
+                    result = await this.changesets.apply(message.params.changes);
+                    break;
+                    
+                case 'undoChangeset':
+                    result = await this.changesets.undo(message.params.changesetId, { force: message.params.force });
+                    break;
+                    
+                case 'listChangesets':
+                    result = { changesets: await this.changesets.list() };
+                    break;
+                    
+                case 'listDirectory':
+                    result = await this.explorer.listDirectory(message.params.path, message.params);
+                    break;
+                    
+                case 'glob':
+                    result = await this.explorer.glob(message.params.pattern, message.params);
+                    break;
+                    
+                case 'search':
+                    result = await this.explorer.search(message.params.query, message.params);
+                    break;
+                    
+                case 'stat':
+                    result = await this.explorer.stat(message.params.path);
+                    break;
+                    
                 case 'executeCommand':
-                    const output = await this.context.executeCommand(message.params.command);
+                    const output = await this.runCommand(message.params.command, message.params.cwd);
                     result = { output, success: true };
                     break;
                     
@@ -261,52 +817,36 @@ Or manually start with: node simplified-bridge.js
             }
             
             // Send MCP response back to Claude
-            await fetch(`${BRIDGE_SERVER_URL}/mcp/response`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    id: message.id,
-                    result,
-                    jsonrpc: "2.0"
-                })
+            await this.postResponse({
+                id: message.id,
+                result,
+                jsonrpc: "2.0"
             });
         } catch (error) {
             // Send error back to Claude
-            await fetch(`${BRIDGE_SERVER_URL}/mcp/response`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
+            await this.postResponse({
+                id: message.id,
+                error: {
+                    code: -32000,
+                    message: error.message,
+                    // Refusals, conflicts and invalid patches carry a code and details
+                    data: typeof error.toJSON === 'function' ? error.toJSON() : undefined
                 },
-                body: JSON.stringify({
-                    id: message.id,
-                    error: {
-                        code: -32000,
-                        message: error.message
-                    },
-                    jsonrpc: "2.0"
-                })
+                jsonrpc: "2.0"
             });
         }
     }
 
-    // Method to send a message to Claude
-    async sendMessage(content) {
-        if (!this.connected) {
-            throw new Error('Not connected to bridge server');
-        }
-
+    // Method to send a message to Claude. options: { to } to address one
+    // agent, { session } for the Claude side of another session. While
+    // disconnected the message waits in the outbox and this resolves once it is sent.
+    async sendMessage(content, options = {}) {
         try {
-            const response = await fetch(`${BRIDGE_SERVER_URL}/cline/message`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    content,
-                    type: 'text'
-                })
+            const response = await this.postMessage({
+                content,
+                type: 'text',
+                to: options.to,
+                session: options.session
             });
             
             if (!response.ok) {
@@ -321,44 +861,77 @@ Or manually start with: node simplified-bridge.js
         }
     }
 
-    // Method to notify Claude about file changes
-    async notifyFileChanged(path, content) {
-        if (!this.connected) {
-            return;
+    // Report a delegated task's new status to Claude: 'accepted', 'in_progress',
+    // 'blocked', 'done' or 'failed' (see task-registry.js). options: { note,
+    // artifacts: [{ name?, path?, fileId?, url?, description? }] }. While
+    // disconnected the report waits in the outbox. Resolves to the updated task.
+    async updateTask(taskId, status, options = {}) {
+        const response = await this.sendThroughOutbox(`/cline/tasks/${encodeURIComponent(taskId)}/status`, {
+            status,
+            note: options.note,
+            artifacts: options.artifacts
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`Failed to update task ${taskId}: ${data.message || response.statusText}`);
         }
+        return data.task;
+    }
 
+    // Tasks in this window's session, optionally only those with one of `statuses`
+    async listTasks(statuses) {
+        const query = statuses ? `?status=${encodeURIComponent([].concat(statuses).join(','))}` : '';
+        const response = await this.authFetch(`${BRIDGE_SERVER_URL}/tasks${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`Failed to list tasks: ${data.message || response.statusText}`);
+        }
+        return data.tasks;
+    }
+
+    // Method to notify Claude about file changes
+    async notifyFileChanged(path, content) {
         try {
-            await fetch(`${BRIDGE_SERVER_URL}/cline/message`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    type: 'fileChanged',
-                    path,
-                    content
-                })
+            await this.postMessage({
+                type: 'fileChanged',
+                path,
+                content
             });
         } catch (error) {
             this.context.log(`Error notifying file change: ${error.message}`);
         }
     }
     
-    // Method to send a file to Claude
-    async sendFile(name, content) {
+    // Method to send a file to Claude. Strings are sent as UTF-8 text and Buffers as
+    // base64 (pass { encoding: 'base64' } for base64 strings); files too big for a
+    // single request are uploaded in chunks.
+    async sendFile(name, content, options = {}) {
         if (!this.connected) {
             throw new Error('Not connected to bridge server');
         }
 
         try {
-            const response = await fetch(`${BRIDGE_SERVER_URL}/cline/file`, {
+            const binary = Buffer.isBuffer(content) || options.encoding === 'base64';
+            const data = Buffer.isBuffer(content)
+                ? content
+                : Buffer.from(content, binary ? 'base64' : 'utf8');
+            const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+
+            if (data.length > SINGLE_UPLOAD_LIMIT) {
+                return await this.uploadFileInChunks(name, data, sha256, options.mimeType);
+            }
+
+            const response = await this.authFetch(`${BRIDGE_SERVER_URL}/cline/file`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     name,
-                    content
+                    content: binary ? data.toString('base64') : content,
+                    encoding: binary ? 'base64' : 'utf8',
+                    mimeType: options.mimeType,
+                    sha256
                 })
             });
             
@@ -366,21 +939,97 @@ Or manually start with: node simplified-bridge.js
                 throw new Error(`Failed to send file: ${response.statusText}`);
             }
             
-            const result = await response.json();
-            return result;
+            return await response.json();
         } catch (error) {
             this.context.log(`Error sending file: ${error.message}`);
             throw error;
         }
     }
+
+    // Upload a large file as a sequence of raw chunks
+    async uploadFileInChunks(name, data, sha256, mimeType) {
+        const startResponse = await this.authFetch(`${BRIDGE_SERVER_URL}/cline/file/uploads`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                name,
+                size: data.length,
+                mimeType,
+                sha256
+            })
+        });
+        
+        if (!startResponse.ok) {
+            throw new Error(`Failed to start upload: ${startResponse.statusText}`);
+        }
+        
+        const { uploadId, chunkSize } = await startResponse.json();
+        this.context.log(`Uploading ${name} in chunks (${data.length} bytes)`);
+        
+        for (let offset = 0; offset < data.length; offset += chunkSize) {
+            const response = await this.authFetch(`${BRIDGE_SERVER_URL}/uploads/${uploadId}?offset=${offset}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/octet-stream'
+                },
+                body: data.subarray(offset, offset + chunkSize)
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to upload chunk at offset ${offset}: ${response.statusText}`);
+            }
+        }
+        
+        const completeResponse = await this.authFetch(`${BRIDGE_SERVER_URL}/uploads/${uploadId}/complete`, {
+            method: 'POST'
+        });
+        
+        if (!completeResponse.ok) {
+            throw new Error(`Failed to complete upload: ${completeResponse.statusText}`);
+        }
+        
+        return await completeResponse.json();
+    }
+
+    // Download a file announced by a 'file' message and verify its checksum
+    async downloadFile(fileId) {
+        const response = await this.authFetch(`${BRIDGE_SERVER_URL}/files/${encodeURIComponent(fileId)}`);
+        
+        if (!response.ok) {
+            throw new Error(`Failed to download file: ${response.statusText}`);
+        }
+        
+        const data = await response.buffer();
+        const expected = response.headers.get('x-content-sha256');
+        const actual = crypto.createHash('sha256').update(data).digest('hex');
+        
+        if (expected && expected !== actual) {
+            throw new Error(`Checksum mismatch for file ${fileId}`);
+        }
+        
+        return data;
+    }
     
     // Clean up resources when disconnecting
     cleanup() {
-        if (this.pollInterval) {
-            clearInterval(this.pollInterval);
-            this.pollInterval = null;
+        for (const child of this.runningCommands.values()) {
+            child.cancelled = true;
+            this.killCommand(child);
         }
-        this.connected = false;
+        
+        // Rejects messages still waiting in the outbox
+        this.connection.close();
+        this.stopReceiving();
+        
+        // Let the bridge tell Claude at once rather than after a missed heartbeat
+        this.authFetch(`${BRIDGE_SERVER_URL}/cline/disconnect`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ connectionId: this.connectionId })
+        }).catch(() => {});
+        
         this.context.log('Client disconnected from bridge server');
     }
 }
@@ -401,6 +1050,19 @@ module.exports = {
                     content: {
                         type: 'string',
                         description: 'Message content'
+                    },
+                    options: {
+                        type: 'object',
+                        properties: {
+                            to: {
+                                type: 'string',
+                                description: 'Agent id to send to (default: Claude in this session)'
+                            },
+                            session: {
+                                type: 'string',
+                                description: 'Session to send to (default: this window\'s session)'
+                            }
+                        }
                     }
                 },
                 required: ['content']
@@ -418,11 +1080,70 @@ module.exports = {
                     content: {
                         type: 'string',
                         description: 'File content'
+                    },
+                    options: {
+                        type: 'object',
+                        properties: {
+                            encoding: {
+                                type: 'string',
+                                enum: ['utf8', 'base64'],
+                                description: 'Encoding of content (default utf8)'
+                            },
+                            mimeType: {
+                                type: 'string',
+                                description: 'MIME type (guessed from the name if omitted)'
+                            }
+                        }
                     }
                 },
                 required: ['name', 'content']
             }
         },
+        updateTask: {
+            description: 'Report the status of a task Claude delegated',
+            parameters: {
+                type: 'object',
+                properties: {
+                    taskId: {
+                        type: 'string',
+                        description: 'Task id from the task message'
+                    },
+                    status: {
+                        type: 'string',
+                        enum: ['accepted', 'in_progress', 'blocked', 'done', 'failed'],
+                        description: 'New status'
+                    },
+                    options: {
+                        type: 'object',
+                        properties: {
+                            note: {
+                                type: 'string',
+                                description: 'Progress note, what is blocking, or why it failed'
+                            },
+                            artifacts: {
+                                type: 'array',
+                                items: { type: 'object' },
+                                description: 'Results: { name?, path?, fileId?, url?, description? }'
+                            }
+                        }
+                    }
+                },
+                required: ['taskId', 'status']
+            }
+        },
+        listTasks: {
+            description: 'List the tasks Claude delegated in this session',
+            parameters: {
+                type: 'object',
+                properties: {
+                    statuses: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Only tasks with one of these statuses'
+                    }
+                }
+            }
+        },
         notifyFileChanged: {
             description: 'Notify Claude about file changes',
             parameters: {
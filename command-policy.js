@@ -0,0 +1,265 @@
+// command-policy.js - Decides whether Cline may run a command requested by Claude
+//
+// Patterns are either globs matched against the whole command ("npm *",
+// "git status") or regular expressions written as "/.../flags". Commands
+// chained with ;, &, &&, || or | are split and every part is checked, so
+// "ls && rm -rf /" is caught by a rule for "rm -rf *", as is
+// 'echo \" ; rm -rf / ; echo \"' (escaped quotes do not quote). Runs of whitespace
+// count as one space. Command substitution ($(...), backticks, <(...)) and
+// subshells hide commands from these checks, so they are refused unless
+// allowSubstitution is set.
+const path = require('path');
+
+const DEFAULT_POLICY = {
+  // Commands matching any of these are always refused
+  deny: [
+    'rm -rf /',
+    'rm -rf /*',
+    'rm -rf ~*',
+    'sudo *',
+    'mkfs*',
+    'dd * of=/dev/*',
+    'shutdown*',
+    'reboot*',
+    '/:\\(\\)\\s*\\{.*\\};\\s*:/'
+  ],
+  // If non-empty, every command must match one of these
+  allow: [],
+  // If non-empty, the working directory must be inside one of these
+  // (relative entries are resolved against the workspace root)
+  allowedDirectories: [],
+  // false: never ask; 'unlisted': ask instead of refusing commands missing
+  // from a non-empty allow list; 'always': ask before every command
+  requireConfirmation: false,
+  // Allow $(...), `...`, <(...), >(...) and ( ... ) subshells
+  allowSubstitution: false
+};
+
+// Error code used for refusals in JSON-RPC errors and commandResult messages
+const COMMAND_BLOCKED = 'COMMAND_BLOCKED';
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePattern(pattern) {
+  const regex = pattern.match(/^\/(.*)\/([a-z]*)$/);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+  return new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`);
+}
+
+// Split a command line on shell control operators, ignoring those inside
+// quotes. A backslash outside single quotes makes the next character literal,
+// so \" neither opens nor closes a quote. The & of a redirection such as 2>&1
+// or &> is not an operator.
+function splitCommand(command) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (char === '\\' && quote !== '\'') {
+      current += command.slice(i, i + 2);
+      i++;
+      continue;
+    }
+
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      quote = char;
+      current += char;
+      continue;
+    }
+
+    const two = command.slice(i, i + 2);
+    if (two === '&&' || two === '||') {
+      parts.push(current);
+      current = '';
+      i++;
+      continue;
+    }
+
+    const redirect = char === '&' && (command[i - 1] === '>' || command[i - 1] === '<' || command[i + 1] === '>');
+    if (char === ';' || char === '|' || char === '\n' || (char === '&' && !redirect)) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  parts.push(current);
+  return parts.map(normalizePart).filter(Boolean);
+}
+
+// One command of a chain as rules see it: whitespace collapsed, and without
+// the braces of a { ...; } group
+function normalizePart(part) {
+  return part.replace(/\s+/g, ' ').trim().replace(/^\{\s*/, '').replace(/^\}$/, '').trim();
+}
+
+// The first command substitution or subshell in a command line, or null.
+// Single quotes disable them; double quotes do not.
+function findSubstitution(command) {
+  let quote = null;
+  let atCommandStart = true;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote === '\'') {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (char === '`') return '`...`';
+
+    const two = command.slice(i, i + 2);
+    if (two === '$(' || two === '<(' || two === '>(') return `${two}...)`;
+
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === '\'') {
+      quote = char;
+      atCommandStart = false;
+      continue;
+    }
+
+    if (char === '(' && atCommandStart) return '( ... )';
+    if (';&|\n'.includes(char)) {
+      atCommandStart = true;
+    } else if (!/\s/.test(char) && char !== '{' && char !== '!') {
+      atCommandStart = false;
+    }
+  }
+  return null;
+}
+
+// A directory named like '..foo' is still inside
+function isInside(directory, root) {
+  const relative = path.relative(root, directory);
+  return relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative);
+}
+
+class CommandPolicy {
+  constructor(policy = {}, { workspaceRoot = process.cwd() } = {}) {
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+    this.workspaceRoot = workspaceRoot;
+    this.deny = this.policy.deny.map(pattern => ({ pattern, regex: compilePattern(pattern) }));
+    this.allow = this.policy.allow.map(pattern => ({ pattern, regex: compilePattern(pattern) }));
+  }
+
+  // Resolve a requested working directory against the workspace root
+  resolveCwd(cwd) {
+    return path.resolve(this.workspaceRoot, cwd || '.');
+  }
+
+  // Returns { decision: 'allow' | 'deny' | 'confirm', rule, pattern, reason }
+  evaluate(command, { cwd } = {}) {
+    const parts = splitCommand(command);
+    if (!parts.length) {
+      return { decision: 'deny', rule: 'empty', reason: 'Command is empty' };
+    }
+
+    const substitution = this.policy.allowSubstitution ? null : findSubstitution(command);
+    if (substitution) {
+      return {
+        decision: 'deny',
+        rule: 'substitution',
+        reason: `Command substitution and subshells (${substitution}) are not allowed`
+      };
+    }
+
+    for (const part of parts) {
+      const denied = this.deny.find(rule => rule.regex.test(part));
+      if (denied) {
+        return {
+          decision: 'deny',
+          rule: 'deny',
+          pattern: denied.pattern,
+          reason: `"${part}" matches deny rule "${denied.pattern}"`
+        };
+      }
+    }
+
+    if (this.policy.allowedDirectories.length) {
+      const directory = this.resolveCwd(cwd);
+      const allowed = this.policy.allowedDirectories
+        .some(root => isInside(directory, this.resolveCwd(root)));
+      if (!allowed) {
+        return {
+          decision: 'deny',
+          rule: 'allowedDirectories',
+          reason: `Working directory ${directory} is outside the allowed directories`
+        };
+      }
+    }
+
+    if (this.allow.length) {
+      const unlisted = parts.find(part => !this.allow.some(rule => rule.regex.test(part)));
+      if (unlisted) {
+        if (this.policy.requireConfirmation === 'unlisted') {
+          return {
+            decision: 'confirm',
+            rule: 'allow',
+            reason: `"${unlisted}" does not match any allow rule`
+          };
+        }
+        return {
+          decision: 'deny',
+          rule: 'allow',
+          reason: `"${unlisted}" does not match any allow rule`
+        };
+      }
+    }
+
+    if (this.policy.requireConfirmation === 'always') {
+      return { decision: 'confirm', rule: 'requireConfirmation', reason: 'Every command requires confirmation' };
+    }
+
+    return { decision: 'allow' };
+  }
+}
+
+// Error thrown when the policy refuses a command; carries the rule that blocked it
+class CommandBlockedError extends Error {
+  constructor(verdict) {
+    super(`Command blocked by ${verdict.rule} rule: ${verdict.reason}`);
+    this.code = COMMAND_BLOCKED;
+    this.rule = verdict.rule;
+    this.pattern = verdict.pattern;
+  }
+
+  // Details sent back to Claude
+  toJSON() {
+    const details = { code: this.code, rule: this.rule };
+    if (this.pattern) {
+      details.pattern = this.pattern;
+    }
+    return details;
+  }
+}
+
+module.exports = {
+  CommandPolicy,
+  CommandBlockedError,
+  splitCommand,
+  findSubstitution,
+  DEFAULT_POLICY,
+  COMMAND_BLOCKED
+};
@@ -0,0 +1,129 @@
+// command-stream.js - Output of a command Cline is running for Claude, as it arrives
+//
+// Cline sends commandOutput messages ({ requestId, stream, data, seq }) while
+// the command runs and a final commandResult with its exit code. A
+// CommandStream is both an EventEmitter and an async iterator over the chunks:
+//
+//   const run = client.streamCommand('npm test');
+//   run.on('stdout', text => process.stdout.write(text));
+//   const { exitCode } = await run.result;
+//
+//   for await (const { stream, data } of client.streamCommand('make')) { ... }
+//
+// Events: 'data' ({ stream, data }), 'stdout' (text), 'stderr' (text),
+// 'exit' ({ exitCode, signal, cancelled, success }) and 'error' (Error).
+const { EventEmitter } = require('events');
+
+class CommandStream extends EventEmitter {
+  constructor({ requestId, command, cancel }) {
+    super();
+    this.requestId = requestId;
+    this.command = command;
+    this.cancelCommand = cancel;
+    this.nextSeq = 0;
+    this.done = false;
+    this.chunks = [];    // Chunks not yet taken by an iterator
+    this.waiters = [];   // Iterators waiting for the next chunk
+
+    // Settles with the exit details, or rejects if Cline refused or failed to run the command
+    this.result = new Promise((resolve, reject) => {
+      this.resolveResult = resolve;
+      this.rejectResult = reject;
+    });
+    // Callers that only use events should not see an unhandled rejection
+    this.result.catch(() => {});
+  }
+
+  // Ask Cline to stop the command; the stream still ends with an exit event
+  cancel() {
+    if (this.done) {
+      return Promise.resolve();
+    }
+    return this.cancelCommand(this.requestId);
+  }
+
+  // Called by the client for each commandOutput message
+  push(message) {
+    if (this.done) return;
+
+    if (typeof message.seq === 'number') {
+      if (message.seq < this.nextSeq) return; // Redelivered chunk
+      this.nextSeq = message.seq + 1;
+    }
+
+    const chunk = { stream: message.stream, data: message.data };
+    this.emit('data', chunk);
+    this.emit(chunk.stream, chunk.data);
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve({ value: chunk, done: false });
+    } else {
+      this.chunks.push(chunk);
+    }
+  }
+
+  // Called by the client for the final commandResult message
+  finish(message) {
+    if (this.done) return;
+
+    if (message.error) {
+      const error = new Error(message.error);
+      // Set when Cline's command policy refused the command
+      error.code = message.errorCode;
+      error.policy = message.policy;
+      this.fail(error);
+      return;
+    }
+
+    const exit = {
+      exitCode: message.exitCode === undefined ? null : message.exitCode,
+      signal: message.signal || null,
+      cancelled: message.cancelled === true,
+      success: message.success !== false
+    };
+
+    this.done = true;
+    this.emit('exit', exit);
+    this.resolveResult(exit);
+    this.waiters.splice(0).forEach(waiter => waiter.resolve({ value: undefined, done: true }));
+  }
+
+  fail(error) {
+    if (this.done) return;
+
+    this.done = true;
+    this.error = error;
+    if (this.listenerCount('error')) {
+      this.emit('error', error);
+    }
+    this.rejectResult(error);
+    this.waiters.splice(0).forEach(waiter => waiter.reject(error));
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this.chunks.length) {
+          return Promise.resolve({ value: this.chunks.shift(), done: false });
+        }
+        if (this.error) {
+          return Promise.reject(this.error);
+        }
+        if (this.done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+      },
+      // Leaving a for-await loop early cancels the command
+      return: () => {
+        this.cancel().catch(() => {});
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+}
+
+module.exports = {
+  CommandStream
+};
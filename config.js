@@ -0,0 +1,367 @@
+// config.js - Settings shared by the bridge, both clients and the MCP server
+//
+// Every setting has a default (CONFIG_SCHEMA below) and can be changed, from
+// lowest to highest precedence, in:
+//   bridge.config.json   next to this file, or the file named by
+//                        BRIDGE_CONFIG / --config
+//   environment          BRIDGE_ plus the setting's path in upper snake case:
+//                        port -> BRIDGE_PORT, timeouts.maxWait -> BRIDGE_TIMEOUTS_MAX_WAIT
+//   command line         --<path>=<value> or --<path> <value>: --port 3000,
+//                        --timeouts.maxWait=30000 (bridge and MCP server only)
+// Values from the environment and command line are strings; numbers,
+// booleans, objects and null are parsed as JSON, and arrays as JSON or a
+// comma-separated list. The merged result is validated against the schema.
+// Relative paths are resolved against the config file's directory (or this
+// one's when there is no file).
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const bytes = require('bytes');
+
+const CONFIG_FILE = path.join(__dirname, 'bridge.config.json');
+
+const milliseconds = (description, defaultValue) => ({ type: 'integer', minimum: 1, default: defaultValue, description });
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    host: {
+      type: 'string',
+      default: '127.0.0.1',
+      description: 'Address the bridge listens on; keep it on loopback unless every client is trusted'
+    },
+    port: { type: 'integer', minimum: 1, maximum: 65535, default: 2612, description: 'Port the bridge listens on' },
+    url: {
+      type: ['string', 'null'],
+      default: null,
+      description: 'Bridge URL the clients connect to (default: http://<host>:<port>)'
+    },
+    dataDir: {
+      type: 'string',
+      default: 'data',
+      description: 'Directory for tokens, the message store and changeset backups'
+    },
+    auth: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        file: { type: ['string', 'null'], default: null, description: 'Token file (default: <dataDir>/auth.json)' },
+        allowedOrigins: {
+          type: 'array',
+          items: { type: 'string' },
+          default: [],
+          description: "Browser origins allowed in addition to the token file's allowedOrigins"
+        }
+      }
+    },
+    limits: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        body: {
+          type: 'string',
+          pattern: '^\\d+(\\.\\d+)?\\s*([kKmMgG]?[bB])$',
+          default: '10mb',
+          description: "Largest request body the bridge accepts: a size such as '512kb' or '10mb'"
+        },
+        singleUpload: {
+          type: 'integer',
+          minimum: 1,
+          default: 5 * 1024 * 1024,
+          description: 'Clients upload larger files in chunks (bytes)'
+        },
+        fileSize: {
+          type: 'integer',
+          minimum: 1,
+          default: 100 * 1024 * 1024,
+          description: 'Largest file the bridge accepts, whole or chunked (bytes)'
+        },
+        uploads: {
+          type: 'integer',
+          minimum: 1,
+          default: 16,
+          description: 'Chunked uploads the bridge holds in progress at once'
+        },
+        fileStorage: {
+          type: 'integer',
+          minimum: 1,
+          default: 512 * 1024 * 1024,
+          description: 'Total size of the files and uploads in progress the bridge holds (bytes)'
+        },
+        outbox: {
+          type: 'integer',
+          minimum: 1,
+          default: 1000,
+          description: 'Messages a client keeps waiting while it is not connected'
+        }
+      }
+    },
+    timeouts: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        keepAlive: milliseconds('Idle event streams get a comment line this often', 15000),
+        maxWait: milliseconds('Longest a long-poll request may be held open', 60000),
+        invocationTtl: milliseconds('Unclaimed MCP invocations are forgotten after this long', 5 * 60 * 1000),
+        leaseSweep: milliseconds('How often expired leases are returned to the queue', 5000),
+        heartbeat: milliseconds('How often clients heartbeat', 10000),
+        presence: milliseconds('Connections silent for this long are dropped', 30000),
+        longPollWait: milliseconds('How long each client poll asks the bridge to wait', 25000),
+        pollInterval: milliseconds("Minimum gap between client polls if the bridge can't long-poll", 2000),
+        invoke: milliseconds('How long the MCP server and client wait for Cline to answer', 60000),
+        reconnect: milliseconds('Clients wait this long after losing the bridge, doubling after each failed attempt', 1000),
+        maxReconnect: milliseconds('Longest wait between reconnection attempts', 30000)
+      }
+    },
+    queue: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        visibilityTimeout: milliseconds('Unacked messages are redelivered after this long', 5 * 60 * 1000),
+        maxAttempts: { type: 'integer', minimum: 1, default: 5, description: 'Failed deliveries before a message is dead-lettered' }
+      }
+    },
+    storage: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        type: { enum: ['jsonl', 'sqlite', 'memory'], default: 'jsonl', description: 'Message store backend' },
+        path: {
+          type: ['string', 'null'],
+          default: null,
+          description: 'Store file (default: <dataDir>/bridge.jsonl or bridge.db)'
+        },
+        historyPath: {
+          type: ['string', 'null'],
+          default: null,
+          description: 'Transcript store file (default: <dataDir>/history.jsonl or history.db)'
+        },
+        retention: {
+          type: 'object',
+          additionalProperties: false,
+          default: {},
+          description: 'Overrides for DEFAULT_RETENTION in message-store.js',
+          properties: {
+            maxAge: { type: 'integer', minimum: 1 },
+            maxMessages: { type: 'integer', minimum: 1 },
+            deadLetterMaxAge: { type: 'integer', minimum: 1 },
+            historyMaxAge: { type: 'integer', minimum: 1 },
+            maxHistory: { type: 'integer', minimum: 1 },
+            taskMaxAge: { type: 'integer', minimum: 1 },
+            compactEvery: { type: 'integer', minimum: 1 }
+          }
+        }
+      }
+    },
+    autoStart: {
+      type: 'boolean',
+      default: false,
+      description: 'Clients start a supervised bridge in the background if none is running (see bridge-supervisor.js)'
+    },
+    transport: {
+      enum: ['sse', 'polling'],
+      default: 'sse',
+      description: "How clients receive messages: 'sse' (falls back to polling) or 'polling'"
+    },
+    commandPolicy: {
+      type: 'object',
+      default: {},
+      description: "Cline's command policy (see command-policy.js)",
+      properties: {
+        deny: { type: 'array', items: { type: 'string' } },
+        allow: { type: 'array', items: { type: 'string' } },
+        allowedDirectories: { type: 'array', items: { type: 'string' } },
+        requireConfirmation: { enum: [false, 'unlisted', 'always'] },
+        allowSubstitution: { type: 'boolean' }
+      }
+    },
+    workspaceSandbox: {
+      type: 'object',
+      default: {},
+      description: "Cline's workspace sandbox (see workspace-sandbox.js)",
+      properties: {
+        include: { type: 'array', items: { type: 'string' } },
+        exclude: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    session: { type: ['string', 'null'], default: null, description: 'Session for clients to join as registered agents' },
+    agentId: { type: ['string', 'null'], default: null, description: 'Agent id to register as (default: random when session is set)' },
+    agentName: { type: ['string', 'null'], default: null, description: 'Display name for the registered agent' }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, useDefaults: true });
+const validateConfig = ajv.compile(CONFIG_SCHEMA);
+
+// Invalid settings; `problems` lists each one
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid bridge configuration:\n  ${problems.join('\n  ')}`);
+    this.problems = problems;
+  }
+}
+
+// Every setting path with its schema, e.g. ['timeouts.maxWait', { type: 'integer', ... }].
+// Objects without declared defaults (commandPolicy, retention) are single settings.
+function settingPaths(schema = CONFIG_SCHEMA, prefix = '') {
+  return Object.entries(schema.properties).flatMap(([key, node]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const nested = node.type === 'object' && Object.values(node.properties || {}).some(child => 'default' in child);
+    return nested ? settingPaths(node, name) : [[name, node]];
+  });
+}
+
+// timeouts.maxWait -> BRIDGE_TIMEOUTS_MAX_WAIT
+function envName(setting) {
+  return `BRIDGE_${setting.replace(/([a-z])([A-Z])/g, '$1_$2').replace(/\./g, '_').toUpperCase()}`;
+}
+
+// Turn an environment or command-line string into a value of the setting's type
+function parseValue(raw, node) {
+  const types = [].concat(node.type || (node.enum || []).map(value => typeof value));
+  if (types.includes('string')) {
+    return raw === 'null' && types.includes('null') ? null : raw;
+  }
+  if (types.includes('array') && !raw.trim().startsWith('[')) {
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`expected JSON, got ${raw}`);
+  }
+}
+
+// Split argv into setting overrides and everything else. `--config` names the
+// config file; other flags must be settings unless listed in `extraFlags`.
+function parseArgs(argv, settings, extraFlags) {
+  const overrides = [];
+  const extras = [];
+  const problems = [];
+  let configFile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/s);
+    if (!match) {
+      problems.push(`Unexpected argument: ${argv[i]}`);
+      continue;
+    }
+
+    const [, name, inline] = match;
+    if (extraFlags.includes(name)) {
+      extras.push(name);
+      continue;
+    }
+    if (name !== 'config' && !settings.has(name)) {
+      problems.push(`Unknown option: --${name}`);
+      continue;
+    }
+
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) {
+      problems.push(`--${name} needs a value`);
+    } else if (name === 'config') {
+      configFile = value;
+    } else {
+      overrides.push([name, value]);
+    }
+  }
+
+  return { overrides, extras, problems, configFile };
+}
+
+function setPath(target, setting, value) {
+  const keys = setting.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node = node[key] = node[key] || {};
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+// Load and validate the configuration. Options:
+//   argv        command-line arguments to read (default: none)
+//   env         environment (default: process.env)
+//   extraFlags  boolean flags the caller handles itself, e.g. ['compact']
+// Returns the settings plus `configFile` (the file read, or null) and `flags`
+// (the extra flags given). Throws ConfigError.
+function loadConfig({ argv = [], env = process.env, extraFlags = [] } = {}) {
+  const paths = settingPaths();
+  const settings = new Map(paths);
+  const args = parseArgs(argv, settings, extraFlags);
+  const problems = [...args.problems];
+
+  const file = args.configFile || env.BRIDGE_CONFIG || (fs.existsSync(CONFIG_FILE) ? CONFIG_FILE : null);
+  let config = {};
+  if (file) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new ConfigError([`Cannot read ${file}: ${error.message}`]);
+    }
+  }
+
+  const override = (setting, raw, source) => {
+    try {
+      setPath(config, setting, parseValue(raw, settings.get(setting)));
+    } catch (error) {
+      problems.push(`${source}: ${error.message}`);
+    }
+  };
+  for (const [setting] of paths) {
+    if (env[envName(setting)] !== undefined) {
+      override(setting, env[envName(setting)], envName(setting));
+    }
+  }
+  for (const [setting, raw] of args.overrides) {
+    override(setting, raw, `--${setting}`);
+  }
+
+  if (!problems.length && !validateConfig(config)) {
+    problems.push(...validateConfig.errors.map(error => {
+      const where = error.instancePath.slice(1).replace(/\//g, '.') || 'config';
+      return `${where} ${error.message}${error.params.additionalProperty ? ` (${error.params.additionalProperty})` : ''}`;
+    }));
+  }
+  // A whole-file upload travels base64-encoded in a JSON body
+  if (!problems.length && Math.ceil(config.limits.singleUpload / 3) * 4 > bytes.parse(config.limits.body)) {
+    problems.push(`limits.singleUpload (${config.limits.singleUpload} bytes) does not fit in limits.body (${config.limits.body}) once base64-encoded`);
+  }
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+
+  // Fill in the defaults that depend on other settings
+  const base = file ? path.dirname(path.resolve(file)) : __dirname;
+  config.dataDir = path.resolve(base, config.dataDir);
+  config.auth.file = config.auth.file ? path.resolve(base, config.auth.file) : path.join(config.dataDir, 'auth.json');
+  config.storage.path = config.storage.path
+    ? path.resolve(base, config.storage.path)
+    : path.join(config.dataDir, config.storage.type === 'sqlite' ? 'bridge.db' : 'bridge.jsonl');
+  config.storage.historyPath = config.storage.historyPath
+    ? path.resolve(base, config.storage.historyPath)
+    : path.join(config.dataDir, config.storage.type === 'sqlite' ? 'history.db' : 'history.jsonl');
+  if (!config.url) {
+    const host = ['0.0.0.0', '::'].includes(config.host) ? 'localhost' : config.host;
+    config.url = `http://${host.includes(':') ? `[${host}]` : host}:${config.port}`;
+  }
+
+  config.configFile = file;
+  config.flags = args.extras;
+  return config;
+}
+
+module.exports = {
+  loadConfig,
+  ConfigError,
+  CONFIG_SCHEMA,
+  CONFIG_FILE,
+  envName,
+  settingPaths
+};
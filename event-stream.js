@@ -0,0 +1,94 @@
+// event-stream.js - Minimal Server-Sent Events subscriber used by both clients
+const fetch = require('node-fetch');
+const { StringDecoder } = require('string_decoder');
+
+// Parse one SSE event block into { event, id, data }; comment-only blocks return null
+function parseEvent(block) {
+  const event = { event: 'message', id: null, data: [] };
+  let hasData = false;
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') event.event = value;
+    else if (field === 'id') event.id = value;
+    else if (field === 'data') {
+      event.data.push(value);
+      hasData = true;
+    }
+  }
+
+  if (!hasData) return null;
+  event.data = event.data.join('\n');
+  return event;
+}
+
+// Open an event stream and call onMessage with each parsed JSON message.
+// Resolves once the stream is established (rejects if the bridge has no such
+// route), and calls onClose when it ends for any reason other than close().
+async function subscribe(url, { onMessage, onClose = () => {}, headers = {} }) {
+  const controller = new AbortController();
+  const response = await fetch(url, {
+    headers: { ...headers, Accept: 'text/event-stream' },
+    signal: controller.signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Event stream unavailable: ${response.status} ${response.statusText}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.startsWith('text/event-stream')) {
+    controller.abort();
+    throw new Error(`Event stream unavailable: unexpected content type ${contentType}`);
+  }
+
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let closed = false;
+
+  response.body.on('data', chunk => {
+    buffer += decoder.write(chunk);
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const event = parseEvent(block);
+      if (!event || event.event !== 'message') continue;
+
+      try {
+        onMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error(`Ignoring malformed event: ${error.message}`);
+      }
+    }
+  });
+
+  const finish = error => {
+    if (closed) return;
+    closed = true;
+    onClose(error);
+  };
+
+  response.body.on('end', () => finish());
+  response.body.on('error', error => finish(error));
+
+  return {
+    close() {
+      closed = true;
+      controller.abort();
+    }
+  };
+}
+
+module.exports = {
+  subscribe,
+  parseEvent
+};
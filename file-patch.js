@@ -0,0 +1,198 @@
+// file-patch.js - Applies Claude's edits to a file's text instead of replacing it wholesale
+//
+// A patch is either a unified diff ({ diff }) or a list of search/replace
+// edits ({ edits: [{ search, replace, all? }] }). Each search string must
+// occur exactly once unless `all` is set. Diff hunks are applied at their
+// stated line if the context matches there, otherwise at the nearest place
+// where it does. Line endings of the original file are kept.
+const crypto = require('crypto');
+
+// Error codes used in JSON-RPC error data
+const PATCH_FAILED = 'PATCH_FAILED';
+const PATCH_CONFLICT = 'PATCH_CONFLICT';
+
+// The patch does not fit the file
+class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.code = PATCH_FAILED;
+  }
+
+  toJSON() {
+    return { code: this.code };
+  }
+}
+
+// The file changed since Claude read it; carries its current content
+class PatchConflictError extends Error {
+  constructor(path, content) {
+    super(`${path} has changed since it was read`);
+    this.code = PATCH_CONFLICT;
+    this.path = path;
+    this.content = content;
+    this.sha256 = hashContent(content);
+  }
+
+  toJSON() {
+    return { code: this.code, path: this.path, sha256: this.sha256, content: this.content };
+  }
+}
+
+// Hash identifying a version of a file's content
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+function parseUnifiedDiff(diff) {
+  const hunks = [];
+  let hunk = null;
+  let last = null;
+
+  const lines = diff.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  for (const line of lines) {
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      hunk = { oldStart: Number(header[1]), oldLines: [], newLines: [], oldNoNewline: false, newNoNewline: false };
+      hunks.push(hunk);
+      last = null;
+      continue;
+    }
+
+    if (!hunk) {
+      // File headers (---, +++, diff --git, index) before the first hunk
+      continue;
+    }
+
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file" applies to the line before it
+      if (last === '-' || last === ' ') hunk.oldNoNewline = true;
+      if (last === '+' || last === ' ') hunk.newNoNewline = true;
+      continue;
+    }
+
+    const marker = line[0];
+    const text = line.slice(1);
+    if (marker === ' ' || line === '') {
+      hunk.oldLines.push(text);
+      hunk.newLines.push(text);
+      last = ' ';
+    } else if (marker === '-') {
+      hunk.oldLines.push(text);
+      last = '-';
+    } else if (marker === '+') {
+      hunk.newLines.push(text);
+      last = '+';
+    } else if (line.startsWith('---') || line.startsWith('diff ')) {
+      // Header of the next file; only single-file diffs are supported
+      throw new PatchError('Diff touches more than one file');
+    } else {
+      throw new PatchError(`Unexpected line in diff: ${line}`);
+    }
+  }
+
+  if (!hunks.length) {
+    throw new PatchError('Diff contains no hunks');
+  }
+  return hunks;
+}
+
+function matchesAt(lines, expected, index) {
+  if (index < 0 || index + expected.length > lines.length) return false;
+  return expected.every((line, i) => lines[index + i] === line);
+}
+
+// Index where the hunk's old lines appear, preferring the closest to `preferred`
+function locateHunk(lines, expected, preferred) {
+  const limit = Math.max(preferred, lines.length - preferred);
+  for (let distance = 0; distance <= limit; distance++) {
+    if (matchesAt(lines, expected, preferred - distance)) return preferred - distance;
+    if (distance && matchesAt(lines, expected, preferred + distance)) return preferred + distance;
+  }
+  return -1;
+}
+
+function applyUnifiedDiff(content, diff) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  let trailingNewline = lines[lines.length - 1] === '';
+  if (trailingNewline) lines.pop();
+
+  // Lines shift as earlier hunks add or remove lines
+  let shift = 0;
+  let searchFrom = 0;
+
+  parseUnifiedDiff(diff).forEach((hunk, number) => {
+    // A hunk with no old lines inserts after line oldStart
+    const preferred = hunk.oldLines.length ? hunk.oldStart - 1 + shift : hunk.oldStart + shift;
+    let index = hunk.oldLines.length ? locateHunk(lines, hunk.oldLines, preferred) : preferred;
+    if (index < searchFrom || index > lines.length) {
+      index = -1;
+    }
+    if (index === -1) {
+      throw new PatchError(`Hunk ${number + 1} does not match the file`);
+    }
+
+    lines.splice(index, hunk.oldLines.length, ...hunk.newLines);
+    shift += hunk.newLines.length - hunk.oldLines.length;
+    searchFrom = index + hunk.newLines.length;
+
+    if (searchFrom === lines.length) {
+      if (hunk.newNoNewline) trailingNewline = false;
+      else if (hunk.oldNoNewline) trailingNewline = true;
+    }
+  });
+
+  return lines.join(eol) + (trailingNewline && lines.length ? eol : '');
+}
+
+function countOccurrences(text, search) {
+  let count = 0;
+  for (let index = text.indexOf(search); index !== -1; index = text.indexOf(search, index + search.length)) {
+    count++;
+  }
+  return count;
+}
+
+function applyEdits(content, edits) {
+  return edits.reduce((text, edit, number) => {
+    if (typeof edit.search !== 'string' || !edit.search || typeof edit.replace !== 'string') {
+      throw new PatchError(`Edit ${number + 1} needs a non-empty search string and a replace string`);
+    }
+
+    const count = countOccurrences(text, edit.search);
+    if (count === 0) {
+      throw new PatchError(`Edit ${number + 1}: search text not found`);
+    }
+    if (count > 1 && !edit.all) {
+      throw new PatchError(`Edit ${number + 1}: search text found ${count} times; make it unique or set "all"`);
+    }
+
+    return edit.all
+      ? text.split(edit.search).join(edit.replace)
+      : text.replace(edit.search, () => edit.replace);
+  }, content);
+}
+
+// Apply { diff } or { edits } to content and return the new content
+function applyPatch(content, patch) {
+  if (typeof patch.diff === 'string') {
+    return applyUnifiedDiff(content, patch.diff);
+  }
+  if (Array.isArray(patch.edits)) {
+    return applyEdits(content, patch.edits);
+  }
+  throw new PatchError('Patch needs a "diff" string or an "edits" array');
+}
+
+module.exports = {
+  applyPatch,
+  applyUnifiedDiff,
+  applyEdits,
+  hashContent,
+  PatchError,
+  PatchConflictError,
+  PATCH_FAILED,
+  PATCH_CONFLICT
+};
@@ -0,0 +1,250 @@
+// file-reader.js - Reads part of a file, so Claude can page through large ones
+//
+// A read is either a line range ({ startLine, endLine }, 1-based and
+// inclusive) or a byte range ({ offset, length }). Each read is capped, and
+// the result carries a cursor for the next page when there is more:
+//   { content, encoding, range, totalBytes, totalLines?, binary, nextCursor }
+// Only the requested part of the file is read; line reads scan from the start
+// (or from where the cursor left off), and totalLines is set once a read
+// reaches the end of the file. Binary files (a NUL byte near the start) are
+// returned base64-encoded for byte ranges, or refused with binary: 'reject'.
+const fs = require('fs');
+
+const MAX_READ_BYTES = 1024 * 1024; // At most this much content per read
+const MAX_READ_LINES = 2000;        // At most this many lines per line read
+const BINARY_SNIFF_BYTES = 8000;
+
+// Error codes used in JSON-RPC error data
+const READ_FAILED = 'READ_FAILED';
+const BINARY_FILE = 'BINARY_FILE';
+const FILE_CHANGED = 'FILE_CHANGED';
+
+class ReadError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+
+  toJSON() {
+    return { code: this.code };
+  }
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(text) {
+  try {
+    const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+    if (cursor.mode !== 'lines' && cursor.mode !== 'bytes') throw new Error('bad mode');
+    return cursor;
+  } catch (error) {
+    throw new ReadError(READ_FAILED, 'Invalid cursor');
+  }
+}
+
+// Bytes in the UTF-8 sequence a lead byte starts
+function utf8SequenceLength(byte) {
+  return byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+}
+
+// Length of buffer without a UTF-8 sequence cut off at its end
+function completeUtf8Length(buffer) {
+  for (let back = 1; back <= Math.min(3, buffer.length); back++) {
+    const byte = buffer[buffer.length - back];
+    if ((byte & 0xc0) === 0x80) continue; // Continuation byte: keep looking for the lead
+    return utf8SequenceLength(byte) > back ? buffer.length - back : buffer.length;
+  }
+  return buffer.length;
+}
+
+async function readBytes(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+async function readByteRange(handle, stats, { offset, length, binary, maxBytes }) {
+  const start = Math.min(offset, stats.size);
+  let buffer = await readBytes(handle, start, Math.min(length || maxBytes, maxBytes));
+  if (!binary) {
+    const complete = completeUtf8Length(buffer);
+    if (complete === 0 && buffer.length) {
+      // Shorter than the character at offset: widen to that one character, or
+      // the read would be empty and its cursor would never advance
+      const widened = await readBytes(handle, start, 4);
+      buffer = widened.subarray(0, utf8SequenceLength(widened[0]));
+    } else {
+      buffer = buffer.subarray(0, complete);
+    }
+  }
+
+  const end = start + buffer.length;
+  return {
+    content: buffer.toString(binary ? 'base64' : 'utf8'),
+    encoding: binary ? 'base64' : 'utf8',
+    range: { offset: start, length: buffer.length },
+    nextCursor: end < stats.size
+      ? encodeCursor({ mode: 'bytes', offset: end, length, mtime: stats.mtimeMs })
+      : null
+  };
+}
+
+async function readLineRange(file, stats, { startLine, endLine, line, offset, maxBytes, maxLines }) {
+  const last = Math.min(endLine || Infinity, startLine + maxLines - 1);
+
+  let lineNumber = line;      // Line that starts at lineStart
+  let lineStart = offset;     // Byte offset of the current line
+  let contentStart = null;    // Byte offset of startLine
+  let contentEnd = null;
+  let reachedEnd = false;
+
+  const stream = fs.createReadStream(file, { start: offset });
+  let position = offset;      // Byte offset of the start of the current chunk
+
+  try {
+    for await (const chunk of stream) {
+      let index = 0;
+      while (contentEnd === null) {
+        if (lineNumber === startLine && contentStart === null) {
+          contentStart = lineStart;
+        }
+
+        const newline = chunk.indexOf(10, index);
+        if (newline === -1) break;
+
+        const lineEnd = position + newline + 1;
+        if (contentStart !== null) {
+          if (lineEnd - contentStart > maxBytes) {
+            if (lineStart === contentStart) {
+              throw new ReadError(READ_FAILED, `Line ${lineNumber} is longer than ${maxBytes} bytes; read it by byte range`);
+            }
+            contentEnd = lineStart; // Stop before the line that does not fit
+            break;
+          }
+          if (lineNumber === last) {
+            contentEnd = lineEnd;
+          }
+        }
+
+        lineNumber++;
+        lineStart = lineEnd;
+        index = newline + 1;
+      }
+      if (contentEnd !== null) break;
+      position += chunk.length;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  if (contentEnd === null) {
+    // Ran off the end of the file; a last line without a newline still counts
+    reachedEnd = true;
+    if (contentStart === null && lineNumber === startLine && lineStart < stats.size) {
+      contentStart = lineStart;
+    }
+    if (contentStart !== null && stats.size - contentStart > maxBytes) {
+      throw new ReadError(READ_FAILED, `Line ${lineNumber} is longer than ${maxBytes} bytes; read it by byte range`);
+    }
+    contentEnd = stats.size;
+  }
+
+  const totalLines = reachedEnd ? (lineStart < stats.size ? lineNumber : lineNumber - 1) : undefined;
+  if (contentStart === null) {
+    // startLine is past the end of the file
+    return { content: '', encoding: 'utf8', range: null, totalLines, nextCursor: null };
+  }
+
+  const handle = await fs.promises.open(file, 'r');
+  let content;
+  try {
+    content = (await readBytes(handle, contentStart, contentEnd - contentStart)).toString('utf8');
+  } finally {
+    await handle.close();
+  }
+
+  const lines = content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+  const result = {
+    content,
+    encoding: 'utf8',
+    range: { startLine, endLine: startLine + lines - 1 },
+    nextCursor: null
+  };
+  if (totalLines !== undefined) {
+    result.totalLines = totalLines;
+  }
+
+  const nextLine = startLine + lines;
+  if (contentEnd < stats.size && (!endLine || nextLine <= endLine)) {
+    result.nextCursor = encodeCursor({ mode: 'lines', line: nextLine, offset: contentEnd, endLine, mtime: stats.mtimeMs });
+  }
+  return result;
+}
+
+// Read part of a file (absolute path). Options: startLine/endLine, or
+// offset/length, or cursor (from a previous read); binary: 'base64' | 'reject'.
+async function readRange(file, options = {}) {
+  const {
+    binary: binaryMode = 'base64',
+    maxBytes = MAX_READ_BYTES,
+    maxLines = MAX_READ_LINES
+  } = options;
+
+  const stats = await fs.promises.stat(file);
+  if (!stats.isFile()) {
+    throw new ReadError(READ_FAILED, 'Not a file');
+  }
+
+  const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+  if (cursor && cursor.mtime !== stats.mtimeMs) {
+    throw new ReadError(FILE_CHANGED, 'File changed since the cursor was issued; start again');
+  }
+
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const binary = (await readBytes(handle, 0, BINARY_SNIFF_BYTES)).includes(0);
+    const byLines = cursor ? cursor.mode === 'lines' : options.startLine !== undefined || options.endLine !== undefined;
+
+    if (binary && binaryMode === 'reject') {
+      throw new ReadError(BINARY_FILE, 'File is binary');
+    }
+    if (binary && byLines) {
+      throw new ReadError(BINARY_FILE, 'File is binary; read it by byte range');
+    }
+
+    let result;
+    if (byLines) {
+      result = await readLineRange(file, stats, {
+        startLine: cursor ? cursor.line : Math.max(1, options.startLine || 1),
+        endLine: cursor ? cursor.endLine : options.endLine,
+        line: cursor ? cursor.line : 1,
+        offset: cursor ? cursor.offset : 0,
+        maxBytes,
+        maxLines
+      });
+    } else {
+      result = await readByteRange(handle, stats, {
+        offset: cursor ? cursor.offset : Math.max(0, options.offset || 0),
+        length: cursor ? cursor.length : options.length,
+        binary,
+        maxBytes
+      });
+    }
+
+    return { ...result, totalBytes: stats.size, binary };
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  readRange,
+  ReadError,
+  MAX_READ_BYTES,
+  MAX_READ_LINES,
+  READ_FAILED,
+  BINARY_FILE,
+  FILE_CHANGED
+};
@@ -0,0 +1,261 @@
+// file-store.js - In-memory store for files transferred through the bridge
+//
+// Each upload and file records its owner, the identity that sent it (see
+// SessionRegistry.identify). Only the owner may add chunks to or complete an
+// upload; a file may be downloaded by its owner and by its recipient.
+// Nothing survives a restart.
+const crypto = require('crypto');
+const path = require('path');
+
+const FILE_TTL = 60 * 60 * 1000;  // Forget transferred files after an hour
+const UPLOAD_TTL = 15 * 60 * 1000; // Abandon chunked uploads idle for 15 minutes
+const CHUNK_SIZE = 4 * 1024 * 1024; // Suggested chunk size for chunked uploads
+const MAX_FILE_SIZE = 100 * 1024 * 1024; // Largest file accepted, whole or chunked
+const MAX_UPLOADS = 16;             // Chunked uploads in progress at once
+const MAX_TOTAL_SIZE = 512 * 1024 * 1024; // Bytes held at once, counting uploads at their declared size
+
+// Common MIME types by extension; anything else falls back on the encoding
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.csv': 'text/csv',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar'
+};
+
+// Error with an HTTP status for the route to report
+class FileTransferError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function newId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function sameClient(a, b) {
+  return a.role === b.role && (a.agentId || null) === (b.agentId || null) && a.sessionId === b.sessionId;
+}
+
+// Whether `identity` is who a route delivers to: the agent it names, or a
+// client of its role in its session
+function isRecipient(route, identity) {
+  return route.role === identity.role
+    && (route.agentId ? route.agentId === identity.agentId : route.sessionId === identity.sessionId);
+}
+
+function guessMimeType(name, encoding) {
+  const type = MIME_TYPES[path.extname(name).toLowerCase()];
+  if (type) return type;
+  return encoding === 'base64' ? 'application/octet-stream' : 'text/plain';
+}
+
+// Decode a posted payload into bytes
+function decodeContent(content, encoding) {
+  if (encoding === 'base64') {
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(content.replace(/\s/g, ''))) {
+      throw new FileTransferError(400, 'Content is not valid base64');
+    }
+    return Buffer.from(content, 'base64');
+  }
+  return Buffer.from(content, 'utf8');
+}
+
+class FileStore {
+  constructor({ maxFileSize = MAX_FILE_SIZE, maxUploads = MAX_UPLOADS, maxTotalSize = MAX_TOTAL_SIZE } = {}) {
+    this.maxFileSize = maxFileSize;
+    this.maxUploads = maxUploads;
+    this.maxTotalSize = maxTotalSize;
+    this.files = new Map();
+    this.uploads = new Map();
+  }
+
+  // Store a complete file. Verifies the checksum when the sender supplied one.
+  // `route` is kept for the bridge: where to announce the file.
+  add({ name, data, mimeType, encoding, sha256: expected, from, owner, route }) {
+    this.checkSize(name, data.length);
+    this.checkSpace(name, data.length);
+    const checksum = sha256(data);
+    if (expected && expected.toLowerCase() !== checksum) {
+      throw new FileTransferError(422, `Checksum mismatch for ${name}: expected ${expected}, got ${checksum}`);
+    }
+
+    const file = {
+      id: newId(),
+      name,
+      mimeType: mimeType || guessMimeType(name, encoding),
+      size: data.length,
+      sha256: checksum,
+      from,
+      owner,
+      route,
+      createdAt: Date.now(),
+      data
+    };
+
+    this.files.set(file.id, file);
+    return file;
+  }
+
+  get(id) {
+    return this.files.get(id);
+  }
+
+  // A file for `identity` to download: it must be the sender or the recipient
+  download(id, identity) {
+    const file = this.files.get(id);
+    if (!file) {
+      throw new FileTransferError(404, `Unknown file id: ${id}`);
+    }
+    if (!sameClient(file.owner, identity) && !isRecipient(file.route, identity)) {
+      throw new FileTransferError(403, `File ${id} was not sent to you`);
+    }
+    return file;
+  }
+
+  // Begin a chunked upload of a file whose total size is known up front
+  startUpload({ name, size, mimeType, sha256: expected, from, owner, route }) {
+    this.checkSize(name, size);
+    if (this.uploads.size >= this.maxUploads) {
+      throw new FileTransferError(429, `Too many uploads in progress (at most ${this.maxUploads}); finish one or try again later`);
+    }
+    this.checkSpace(name, size);
+
+    const upload = {
+      id: newId(),
+      name,
+      size,
+      mimeType,
+      sha256: expected,
+      from,
+      owner,
+      route,
+      received: 0,
+      chunks: [],
+      updatedAt: Date.now()
+    };
+
+    this.uploads.set(upload.id, upload);
+    return upload;
+  }
+
+  // Append a chunk. Chunks must arrive in order; offset guards against gaps and replays.
+  appendChunk(uploadId, offset, chunk, identity) {
+    const upload = this.getUpload(uploadId, identity);
+
+    if (offset !== upload.received) {
+      throw new FileTransferError(409, `Expected chunk at offset ${upload.received}, got ${offset}`);
+    }
+
+    if (upload.received + chunk.length > upload.size) {
+      throw new FileTransferError(413, `Chunk overruns declared size of ${upload.size} bytes`);
+    }
+
+    upload.chunks.push(chunk);
+    upload.received += chunk.length;
+    upload.updatedAt = Date.now();
+    return upload;
+  }
+
+  // Assemble the chunks into a stored file
+  completeUpload(uploadId, identity) {
+    const upload = this.getUpload(uploadId, identity);
+
+    if (upload.received !== upload.size) {
+      throw new FileTransferError(409, `Upload incomplete: received ${upload.received} of ${upload.size} bytes`);
+    }
+
+    this.uploads.delete(uploadId);
+    return this.add({
+      name: upload.name,
+      data: Buffer.concat(upload.chunks, upload.size),
+      mimeType: upload.mimeType,
+      encoding: 'base64',
+      sha256: upload.sha256,
+      from: upload.from,
+      owner: upload.owner,
+      route: upload.route
+    });
+  }
+
+  checkSize(name, size) {
+    if (size > this.maxFileSize) {
+      throw new FileTransferError(413, `${name} is ${size} bytes; files may be at most ${this.maxFileSize} bytes`);
+    }
+  }
+
+  // Uploads in progress count at their declared size, so they always have room to complete
+  checkSpace(name, size) {
+    const held = this.totalSize();
+    if (held + size > this.maxTotalSize) {
+      throw new FileTransferError(507, `No room for ${name} (${size} bytes): the bridge holds ${held} of at most ${this.maxTotalSize} bytes of files; try again once older files expire`);
+    }
+  }
+
+  totalSize() {
+    let total = 0;
+    this.files.forEach(file => { total += file.size; });
+    this.uploads.forEach(upload => { total += upload.size; });
+    return total;
+  }
+
+  // An upload, which only its owner may touch
+  getUpload(uploadId, identity) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload) {
+      throw new FileTransferError(404, `Unknown upload id: ${uploadId}`);
+    }
+    if (!sameClient(upload.owner, identity)) {
+      throw new FileTransferError(403, `Upload ${uploadId} belongs to another client`);
+    }
+    return upload;
+  }
+
+  // Drop expired files and abandoned uploads; returns how many were removed
+  expire(now = Date.now()) {
+    let removed = 0;
+    for (const [id, file] of this.files) {
+      if (now - file.createdAt > FILE_TTL) {
+        this.files.delete(id);
+        removed++;
+      }
+    }
+    for (const [id, upload] of this.uploads) {
+      if (now - upload.updatedAt > UPLOAD_TTL) {
+        this.uploads.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  FileStore,
+  FileTransferError,
+  decodeContent,
+  CHUNK_SIZE,
+  MAX_FILE_SIZE,
+  MAX_UPLOADS,
+  MAX_TOTAL_SIZE
+};
@@ -0,0 +1,230 @@
+// mcp-stdio-transport.js - JSON-RPC stdio transport for the MCP server
+//
+// Accepts both framings seen in the wild:
+//   - newline-delimited JSON (the MCP stdio transport)
+//   - LSP-style "Content-Length: <bytes>\r\n\r\n<body>" frames
+// The framing is detected per frame from its first bytes, and replies use
+// whichever framing the peer last sent; a line that is neither is dropped and
+// answered with a parse error. All lengths are measured in bytes.
+
+// JSON-RPC error codes
+const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+const NEWLINE = 0x0a;
+const HEADER_TERMINATOR = Buffer.from('\r\n\r\n');
+const MAX_HEADER_BYTES = 8192;
+const HEADER_NAMES = ['content-length:', 'content-type:']; // A header frame starts with one of these
+const MAX_HEADER_NAME_BYTES = Math.max(...HEADER_NAMES.map(name => name.length));
+
+// Splits a byte stream into frames: { body: Buffer, framing } or { error, framing }
+class FrameDecoder {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length
+      ? Buffer.concat([this.buffer, chunk])
+      : Buffer.from(chunk);
+
+    const frames = [];
+    let frame;
+    while ((frame = this.nextFrame())) {
+      frames.push(frame);
+    }
+    return frames;
+  }
+
+  nextFrame() {
+    this.skipWhitespace();
+    if (!this.buffer.length) return null;
+
+    // JSON always starts with an object or array, a header block with a
+    // header; anything else is a stray line, answered as a parse error
+    const first = this.buffer[0];
+    if (first === 0x7b || first === 0x5b) {
+      return this.nextLine();
+    }
+
+    const start = this.buffer.subarray(0, MAX_HEADER_NAME_BYTES).toString('latin1').toLowerCase();
+    if (HEADER_NAMES.some(name => start.startsWith(name))) {
+      return this.nextHeaderFrame();
+    }
+    if (HEADER_NAMES.some(name => name.startsWith(start))) {
+      return null; // Could still become a header; wait for more
+    }
+    if (this.buffer.indexOf(NEWLINE) === -1 && this.buffer.length <= MAX_HEADER_BYTES) {
+      return null; // Wait for the whole line before answering it
+    }
+    return this.discardLine('Parse error: expected JSON or a Content-Length header');
+  }
+
+  skipWhitespace() {
+    let start = 0;
+    while (start < this.buffer.length && [0x20, 0x09, 0x0d, 0x0a].includes(this.buffer[start])) {
+      start++;
+    }
+    if (start) {
+      this.buffer = this.buffer.subarray(start);
+    }
+  }
+
+  nextLine() {
+    const end = this.buffer.indexOf(NEWLINE);
+    if (end === -1) return null;
+
+    const body = this.buffer.subarray(0, end);
+    this.buffer = this.buffer.subarray(end + 1);
+    return { body, framing: 'newline' };
+  }
+
+  nextHeaderFrame() {
+    const headerEnd = this.buffer.indexOf(HEADER_TERMINATOR);
+
+    if (headerEnd === -1) {
+      if (this.buffer.length > MAX_HEADER_BYTES) {
+        return this.discardLine('Frame header too large');
+      }
+      return null;
+    }
+
+    const headers = this.buffer.subarray(0, headerEnd).toString('ascii');
+    const match = headers.match(/^content-length:\s*(\d+)\s*$/im);
+
+    if (!match) {
+      this.buffer = this.buffer.subarray(headerEnd + HEADER_TERMINATOR.length);
+      return { error: 'Missing Content-Length header', framing: 'header' };
+    }
+
+    const length = parseInt(match[1], 10);
+    const bodyStart = headerEnd + HEADER_TERMINATOR.length;
+    if (this.buffer.length < bodyStart + length) return null;
+
+    const body = this.buffer.subarray(bodyStart, bodyStart + length);
+    this.buffer = this.buffer.subarray(bodyStart + length);
+    return { body, framing: 'header' };
+  }
+
+  // Drop garbage up to the next newline so the stream can resynchronise
+  discardLine(error) {
+    const end = this.buffer.indexOf(NEWLINE);
+    this.buffer = end === -1 ? Buffer.alloc(0) : this.buffer.subarray(end + 1);
+    return { error, framing: 'newline' };
+  }
+}
+
+// Serialise a message in the given framing
+function encodeFrame(message, framing) {
+  const content = JSON.stringify(message);
+  if (framing === 'header') {
+    return `Content-Length: ${Buffer.byteLength(content, 'utf8')}\r\n\r\n${content}`;
+  }
+  return `${content}\n`;
+}
+
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+// Reads JSON-RPC messages from input, hands each to a handler and writes back
+// whatever the handler returns. Handlers return a response object, or
+// undefined for notifications.
+class StdioTransport {
+  constructor({ input = process.stdin, output = process.stdout, log = () => {} } = {}) {
+    this.input = input;
+    this.output = output;
+    this.log = log;
+    this.decoder = new FrameDecoder();
+    this.framing = 'newline';
+    this.handler = null;
+    this.inFlight = new Set();
+  }
+
+  start(handler) {
+    this.handler = handler;
+    this.input.on('data', chunk => {
+      for (const frame of this.decoder.push(chunk)) {
+        this.track(this.handleFrame(frame));
+      }
+    });
+  }
+
+  // Resolves once every request received so far has been answered
+  drain() {
+    return Promise.allSettled([...this.inFlight]);
+  }
+
+  send(message) {
+    const frame = encodeFrame(message, this.framing);
+    this.output.write(frame);
+    this.log(`Sent: ${frame.trim()}`);
+  }
+
+  track(pending) {
+    this.inFlight.add(pending);
+    pending.finally(() => this.inFlight.delete(pending));
+  }
+
+  async handleFrame(frame) {
+    this.framing = frame.framing;
+
+    if (frame.error) {
+      this.log(`Frame error: ${frame.error}`);
+      return this.send(errorResponse(null, ErrorCodes.PARSE_ERROR, frame.error));
+    }
+
+    const text = frame.body.toString('utf8');
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      this.log(`Parse error: ${error.message}`);
+      return this.send(errorResponse(null, ErrorCodes.PARSE_ERROR, `Parse error: ${error.message}`));
+    }
+
+    this.log(`Received: ${text}`);
+
+    if (!Array.isArray(payload)) {
+      const response = await this.dispatch(payload);
+      if (response) {
+        this.send(response);
+      }
+      return;
+    }
+
+    if (!payload.length) {
+      return this.send(errorResponse(null, ErrorCodes.INVALID_REQUEST, 'Empty batch'));
+    }
+
+    // A batch gets one array reply holding every non-notification response
+    const responses = (await Promise.all(payload.map(request => this.dispatch(request))))
+      .filter(Boolean);
+    if (responses.length) {
+      this.send(responses);
+    }
+  }
+
+  async dispatch(request) {
+    try {
+      return await this.handler(request);
+    } catch (error) {
+      this.log(`Unhandled error: ${error.message}`);
+      const id = request && request.id !== undefined ? request.id : null;
+      return errorResponse(id, ErrorCodes.INTERNAL_ERROR, error.message);
+    }
+  }
+}
+
+module.exports = {
+  StdioTransport,
+  FrameDecoder,
+  encodeFrame,
+  errorResponse,
+  ErrorCodes
+};
@@ -0,0 +1,166 @@
+// message-queue.js - Per-client message queue with leases, acks and a dead-letter queue
+//
+// Messages are leased to a consumer rather than removed. The consumer acks
+// each one after processing it; anything not acked within the visibility
+// timeout becomes available again. Messages that keep failing (nacked or
+// timed out maxAttempts times) move to the dead-letter queue.
+//
+// With a store (see message-store.js) every enqueue, ack and dead-letter is
+// recorded so the queue can be restored after a restart. Leases are not
+// persisted: leased messages become available again on restart.
+const crypto = require('crypto');
+
+const VISIBILITY_TIMEOUT = 5 * 60 * 1000; // Redeliver unacked messages after 5 minutes
+const MAX_ATTEMPTS = 5;                   // Dead-letter a message after this many failed deliveries
+
+class MessageQueue {
+  constructor({ name, store = null, visibilityTimeout = VISIBILITY_TIMEOUT, maxAttempts = MAX_ATTEMPTS } = {}) {
+    this.name = name;
+    this.store = store;
+    this.visibilityTimeout = visibilityTimeout;
+    this.maxAttempts = maxAttempts;
+    this.entries = [];     // { message, attempts, leasedUntil, lastError }
+    this.deadLetters = []; // { message, attempts, reason, lastError, failedAt }
+  }
+
+  // Reload messages and dead letters saved by the store
+  restore({ messages = [], deadLetters = [] } = {}) {
+    this.entries = messages.map(message => ({ message, attempts: 0, leasedUntil: 0, lastError: null }));
+    this.deadLetters = deadLetters.slice();
+  }
+
+  // Add a message, giving it a messageId if it has none
+  enqueue(message) {
+    if (!message.messageId) {
+      message.messageId = crypto.randomUUID();
+    }
+    this.entries.push({ message, attempts: 0, leasedUntil: 0, lastError: null });
+    this.record({ op: 'enqueue', message });
+    return message;
+  }
+
+  // Lease up to `limit` available messages, oldest first
+  lease(limit = Infinity, now = Date.now()) {
+    this.expireLeases(now);
+
+    const leased = [];
+    for (const entry of this.entries) {
+      if (leased.length >= limit) break;
+      if (entry.leasedUntil) continue;
+
+      entry.attempts++;
+      entry.leasedUntil = now + this.visibilityTimeout;
+      leased.push({ ...entry.message, deliveryAttempt: entry.attempts });
+    }
+    return leased;
+  }
+
+  // Remove processed messages. Returns which ids were acked and which were unknown.
+  ack(messageIds) {
+    const ids = new Set(messageIds);
+    const acked = [];
+
+    this.entries = this.entries.filter(entry => {
+      if (!ids.has(entry.message.messageId)) return true;
+      acked.push(entry.message.messageId);
+      return false;
+    });
+
+    if (acked.length) {
+      this.record({ op: 'ack', messageIds: acked });
+    }
+
+    return {
+      acked,
+      unknown: messageIds.filter(id => !acked.includes(id))
+    };
+  }
+
+  // Report a failed delivery; the message is retried at once or dead-lettered.
+  // Returns false if the message is not in the queue.
+  nack(messageId, error) {
+    const entry = this.find(messageId);
+    if (!entry) return false;
+
+    entry.lastError = error || null;
+    if (entry.attempts >= this.maxAttempts) {
+      this.deadLetter(entry, `Failed ${entry.attempts} times`);
+    } else {
+      entry.leasedUntil = 0;
+    }
+    return true;
+  }
+
+  // Release leases past their visibility timeout. Returns how many became available again.
+  expireLeases(now = Date.now()) {
+    let released = 0;
+
+    for (const entry of [...this.entries]) {
+      if (!entry.leasedUntil || entry.leasedUntil > now) continue;
+
+      if (entry.attempts >= this.maxAttempts) {
+        this.deadLetter(entry, `Not acknowledged after ${entry.attempts} deliveries`);
+      } else {
+        entry.leasedUntil = 0;
+        released++;
+      }
+    }
+    return released;
+  }
+
+  // Move a dead letter back onto the queue with a fresh attempt count
+  requeueDeadLetter(messageId) {
+    const index = this.deadLetters.findIndex(dead => dead.message.messageId === messageId);
+    if (index === -1) return null;
+
+    const [dead] = this.deadLetters.splice(index, 1);
+    this.entries.push({ message: dead.message, attempts: 0, leasedUntil: 0, lastError: null });
+    this.record({ op: 'requeue', messageId });
+    return dead.message;
+  }
+
+  deadLetter(entry, reason) {
+    const dead = {
+      message: entry.message,
+      attempts: entry.attempts,
+      reason,
+      lastError: entry.lastError,
+      failedAt: new Date().toISOString()
+    };
+
+    this.entries = this.entries.filter(e => e !== entry);
+    this.deadLetters.push(dead);
+    this.record({
+      op: 'deadLetter',
+      messageId: entry.message.messageId,
+      attempts: dead.attempts,
+      reason: dead.reason,
+      lastError: dead.lastError,
+      failedAt: dead.failedAt
+    });
+  }
+
+  record(record) {
+    if (this.store) {
+      this.store.append({ ...record, queue: this.name });
+    }
+  }
+
+  find(messageId) {
+    return this.entries.find(entry => entry.message.messageId === messageId);
+  }
+
+  availableCount() {
+    return this.entries.filter(entry => !entry.leasedUntil).length;
+  }
+
+  leasedCount() {
+    return this.entries.filter(entry => entry.leasedUntil).length;
+  }
+}
+
+module.exports = {
+  MessageQueue,
+  VISIBILITY_TIMEOUT,
+  MAX_ATTEMPTS
+};
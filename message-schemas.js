@@ -0,0 +1,362 @@
+// message-schemas.js - Message envelope and per-type validation for the bridge queues
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// Fields the bridge sets on every queued message; senders cannot override them
+const ENVELOPE_FIELDS = ['from', 'fromAgent', 'sessionId', 'timestamp', 'messageId', 'deliveryAttempt'];
+
+// Types only the bridge creates; clients cannot post them
+const SERVER_TYPES = ['presence', 'task', 'taskStatus', 'file', 'mcp_invoke'];
+
+// Set on results refused by Cline's command policy or workspace sandbox
+const refusalProperties = {
+  errorCode: { type: 'string' },
+  policy: {
+    type: 'object',
+    properties: {
+      rule: { type: 'string' },
+      pattern: { type: 'string' }
+    },
+    required: ['rule']
+  }
+};
+
+// Optional on any message or upload: deliver to one agent (`to`) or to the
+// peer in another session (`session`) instead of the sender's own session
+const routingProperties = {
+  to: { type: 'string', minLength: 1 },
+  session: { type: 'string', minLength: 1 }
+};
+
+// A task's result or supporting material: a file path, a transferred file or a link
+const artifactSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    path: { type: 'string' },
+    fileId: { type: 'string' },
+    url: { type: 'string' },
+    description: { type: 'string' }
+  },
+  minProperties: 1
+};
+
+const taskStatuses = ['pending', 'accepted', 'in_progress', 'blocked', 'done', 'failed'];
+
+// Payload schemas keyed by message type. Unlisted fields are kept as-is.
+const schemas = {
+  text: {
+    type: 'object',
+    properties: {
+      content: { type: 'string' }
+    },
+    required: ['content']
+  },
+
+  message: {
+    type: 'object',
+    properties: {
+      content: { type: 'string' }
+    },
+    required: ['content']
+  },
+
+  fileRequest: {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string', minLength: 1 },
+      path: { type: 'string', minLength: 1 }
+    },
+    required: ['path']
+  },
+
+  fileContent: {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string', minLength: 1 },
+      path: { type: 'string', minLength: 1 },
+      content: { type: 'string' },
+      error: { type: 'string' },
+      ...refusalProperties
+    },
+    required: ['path'],
+    anyOf: [
+      { required: ['content'] },
+      { required: ['error'] }
+    ]
+  },
+
+  updateCode: {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string', minLength: 1 },
+      path: { type: 'string', minLength: 1 },
+      content: { type: 'string' }
+    },
+    required: ['path', 'content']
+  },
+
+  updateCodeResult: {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string', minLength: 1 },
+      path: { type: 'string', minLength: 1 },
+      success: { type: 'boolean' },
+      error: { type: 'string' },
+      ...refusalProperties
+    },
+    required: ['path', 'success']
+  },
+
+  fileChanged: {
+    type: 'object',
+    properties: {
+      path: { type: 'string', minLength: 1 },
+      content: { type: 'string' }
+    },
+    required: ['path']
+  },
+
+  executeCommand: {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string', minLength: 1 },
+      command: { type: 'string', minLength: 1 },
+      cwd: { type: 'string' },
+      // Send output as commandOutput messages while the command runs
+      stream: { type: 'boolean' }
+    },
+    required: ['command']
+  },
+
+  commandOutput: {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string', minLength: 1 },
+      stream: { enum: ['stdout', 'stderr'] },
+      data: { type: 'string' },
+      seq: { type: 'integer', minimum: 0 }
+    },
+    required: ['requestId', 'stream', 'data']
+  },
+
+  cancelCommand: {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string', minLength: 1 }
+    },
+    required: ['requestId']
+  },
+
+  commandResult: {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string', minLength: 1 },
+      command: { type: 'string', minLength: 1 },
+      success: { type: 'boolean' },
+      output: { type: 'string' },
+      error: { type: 'string' },
+      exitCode: { type: ['integer', 'null'] },
+      signal: { type: ['string', 'null'] },
+      cancelled: { type: 'boolean' },
+      ...refusalProperties
+    },
+    required: ['command', 'success']
+  },
+
+  file: {
+    type: 'object',
+    properties: {
+      fileId: { type: 'string', minLength: 1 },
+      name: { type: 'string', minLength: 1 },
+      mimeType: { type: 'string' },
+      size: { type: 'integer', minimum: 0 },
+      sha256: { type: 'string' },
+      url: { type: 'string' }
+    },
+    required: ['fileId', 'name', 'size', 'sha256']
+  },
+
+  presence: {
+    type: 'object',
+    properties: {
+      status: { enum: ['online', 'offline'] },
+      lastSeen: { type: 'string' },
+      reason: { type: 'string' }
+    },
+    required: ['status']
+  },
+
+  // Delegated by Claude (see task-registry.js)
+  task: {
+    type: 'object',
+    properties: {
+      taskId: { type: 'string', minLength: 1 },
+      title: { type: 'string' },
+      goal: { type: 'string', minLength: 1 },
+      acceptanceCriteria: { type: 'array', items: { type: 'string' } },
+      contextFiles: { type: 'array', items: { type: 'string' } },
+      status: { enum: taskStatuses }
+    },
+    required: ['taskId', 'goal']
+  },
+
+  taskStatus: {
+    type: 'object',
+    properties: {
+      taskId: { type: 'string', minLength: 1 },
+      status: { enum: taskStatuses },
+      previous: { enum: taskStatuses },
+      note: { type: ['string', 'null'] },
+      artifacts: { type: 'array', items: artifactSchema }
+    },
+    required: ['taskId', 'status']
+  },
+
+  mcp_invoke: {
+    type: 'object',
+    properties: {
+      method: { type: 'string', minLength: 1 },
+      params: { type: 'object' },
+      id: { type: ['string', 'number'] }
+    },
+    required: ['method', 'id']
+  }
+};
+
+// Schemas for route bodies that are not queued messages
+const requestSchemas = {
+  fileUpload: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      content: { type: 'string' },
+      encoding: { enum: ['utf8', 'base64'] },
+      mimeType: { type: 'string', minLength: 1 },
+      sha256: { type: 'string', pattern: '^[0-9a-fA-F]{64}$' },
+      ...routingProperties
+    },
+    required: ['name', 'content']
+  },
+
+  uploadStart: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      size: { type: 'integer', minimum: 0 },
+      mimeType: { type: 'string', minLength: 1 },
+      sha256: { type: 'string', pattern: '^[0-9a-fA-F]{64}$' },
+      ...routingProperties
+    },
+    required: ['name', 'size']
+  },
+
+  taskCreate: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      goal: { type: 'string', minLength: 1 },
+      acceptanceCriteria: { type: 'array', items: { type: 'string', minLength: 1 } },
+      contextFiles: { type: 'array', items: { type: 'string', minLength: 1 } },
+      ...routingProperties
+    },
+    required: ['goal']
+  },
+
+  taskUpdate: {
+    type: 'object',
+    properties: {
+      status: { enum: taskStatuses.filter(status => status !== 'pending') },
+      note: { type: 'string' },
+      artifacts: { type: 'array', items: artifactSchema }
+    },
+    required: ['status']
+  }
+};
+
+const validators = {};
+for (const [type, schema] of Object.entries(schemas)) {
+  validators[type] = ajv.compile(schema);
+}
+
+const validateRouting = ajv.compile({ type: 'object', properties: routingProperties });
+
+const requestValidators = {};
+for (const [name, schema] of Object.entries(requestSchemas)) {
+  requestValidators[name] = ajv.compile(schema);
+}
+
+// Turn ajv errors into a single readable sentence
+function describeErrors(errors) {
+  return errors
+    .map(error => `${error.instancePath || 'message'} ${error.message}`)
+    .join('; ');
+}
+
+// Check a message body against its type's schema.
+// Returns null when valid, otherwise a human-readable error string.
+function validateMessage(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Message body must be a JSON object';
+  }
+
+  const type = body.type || 'text';
+  const validate = validators[type];
+  if (!validate) {
+    return `Unknown message type: ${type}`;
+  }
+  if (SERVER_TYPES.includes(type)) {
+    return `${type} messages are sent by the bridge only`;
+  }
+
+  if (!validateRouting(body)) {
+    return `Invalid ${type} message: ${describeErrors(validateRouting.errors)}`;
+  }
+
+  if (!validate(body)) {
+    return `Invalid ${type} message: ${describeErrors(validate.errors)}`;
+  }
+
+  return null;
+}
+
+// Check a route body against one of the request schemas.
+// Returns null when valid, otherwise a human-readable error string.
+function validateRequest(name, body) {
+  const validate = requestValidators[name];
+  if (!validate(body)) {
+    return `Invalid ${name} request: ${describeErrors(validate.errors)}`;
+  }
+  return null;
+}
+
+// Wrap a validated body in the bridge envelope, keeping every payload field.
+// `route` ({ fromAgent, sessionId }) records the sending agent and the session
+// the message was delivered in.
+function createEnvelope(from, body, route = {}) {
+  const payload = { ...body };
+  ENVELOPE_FIELDS.forEach(field => delete payload[field]);
+
+  const envelope = {
+    ...payload,
+    type: body.type || 'text',
+    from,
+    timestamp: new Date().toISOString()
+  };
+  if (route.fromAgent) {
+    envelope.fromAgent = route.fromAgent;
+  }
+  if (route.sessionId) {
+    envelope.sessionId = route.sessionId;
+  }
+  return envelope;
+}
+
+module.exports = {
+  schemas,
+  requestSchemas,
+  validateMessage,
+  validateRequest,
+  createEnvelope
+};
@@ -0,0 +1,410 @@
+// message-store.js - Persistent storage for the bridge's message queues and invocations
+//
+// Every change is appended as a record, and state is rebuilt on startup by
+// replaying them:
+//   { op: 'enqueue', queue, message }
+//   { op: 'ack', queue, messageIds }
+//   { op: 'deadLetter', queue, messageId, attempts, reason, lastError, failedAt }
+//   { op: 'requeue', queue, messageId }
+//   { op: 'invoke', key, invocation: { id, method, params, createdAt, sessionId, fromAgent, toAgent } }
+//   { op: 'respond', key, response }
+//   { op: 'forget', key }
+//   { op: 'dropQueue', queue }
+//   { op: 'session', session: { sessionId, name, createdAt } }
+//   { op: 'closeSession', sessionId }
+//   { op: 'agent', agent: { agentId, role, sessionId, name, registeredAt } }
+//   { op: 'removeAgent', agentId }
+//   { op: 'history', entry: { entryId, sessionId, timestamp, type, ... } } (see transcript.js)
+//   { op: 'task', task: { taskId, sessionId, status, updates, ... } } (see task-registry.js)
+//   { op: 'taskUpdate', taskId, update: { status, note, artifacts, agentId, at } }
+//   { op: 'forgetTask', taskId }
+// Compaction rewrites the log as the minimal set of records for the current
+// state, after applying the retention limits.
+const fs = require('fs');
+const path = require('path');
+const { applyTaskUpdate } = require('./task-registry');
+
+const DEFAULT_RETENTION = {
+  maxAge: 7 * 24 * 60 * 60 * 1000,            // Drop queued messages older than a week
+  maxMessages: 10000,                          // Keep at most this many messages per queue
+  deadLetterMaxAge: 30 * 24 * 60 * 60 * 1000,  // Drop dead letters after 30 days
+  historyMaxAge: 30 * 24 * 60 * 60 * 1000,     // Drop transcript entries after 30 days
+  maxHistory: 10000,                           // Keep at most this many transcript entries per session
+  taskMaxAge: 30 * 24 * 60 * 60 * 1000,        // Drop finished tasks 30 days after their last update
+  compactEvery: 1000                           // Compact after this many appended records
+};
+
+function emptyState() {
+  return { queues: {}, invocations: {}, sessions: {}, agents: {}, history: {}, tasks: {} };
+}
+
+function queueState(state, name) {
+  if (!state.queues[name]) {
+    state.queues[name] = { messages: [], deadLetters: [] };
+  }
+  return state.queues[name];
+}
+
+// Fold one record into the state
+function applyRecord(state, record) {
+  switch (record && record.op) {
+    case 'enqueue':
+      queueState(state, record.queue).messages.push(record.message);
+      break;
+
+    case 'ack': {
+      const queue = queueState(state, record.queue);
+      const ids = new Set(record.messageIds);
+      queue.messages = queue.messages.filter(message => !ids.has(message.messageId));
+      break;
+    }
+
+    case 'deadLetter': {
+      const queue = queueState(state, record.queue);
+      const message = queue.messages.find(m => m.messageId === record.messageId);
+      if (!message) break;
+      queue.messages = queue.messages.filter(m => m !== message);
+      queue.deadLetters.push({
+        message,
+        attempts: record.attempts,
+        reason: record.reason,
+        lastError: record.lastError,
+        failedAt: record.failedAt
+      });
+      break;
+    }
+
+    case 'requeue': {
+      const queue = queueState(state, record.queue);
+      const dead = queue.deadLetters.find(d => d.message.messageId === record.messageId);
+      if (!dead) break;
+      queue.deadLetters = queue.deadLetters.filter(d => d !== dead);
+      queue.messages.push(dead.message);
+      break;
+    }
+
+    case 'invoke':
+      state.invocations[record.key] = { ...record.invocation, response: null };
+      break;
+
+    case 'respond':
+      if (state.invocations[record.key]) {
+        state.invocations[record.key].response = record.response;
+      }
+      break;
+
+    case 'forget':
+      delete state.invocations[record.key];
+      break;
+
+    case 'dropQueue':
+      delete state.queues[record.queue];
+      break;
+
+    case 'session':
+      state.sessions[record.session.sessionId] = record.session;
+      break;
+
+    case 'closeSession':
+      delete state.sessions[record.sessionId];
+      break;
+
+    case 'agent':
+      state.agents[record.agent.agentId] = record.agent;
+      break;
+
+    case 'removeAgent':
+      delete state.agents[record.agentId];
+      break;
+
+    case 'history': {
+      const { sessionId } = record.entry;
+      if (!state.history[sessionId]) {
+        state.history[sessionId] = [];
+      }
+      state.history[sessionId].push(record.entry);
+      break;
+    }
+
+    case 'task':
+      // A copy: 'taskUpdate' records are folded into it, not into the caller's task
+      state.tasks[record.task.taskId] = { ...record.task, updates: record.task.updates.slice() };
+      break;
+
+    case 'taskUpdate': {
+      const task = state.tasks[record.taskId];
+      if (task) {
+        applyTaskUpdate(task, record.update);
+      }
+      break;
+    }
+
+    case 'forgetTask':
+      delete state.tasks[record.taskId];
+      break;
+
+    default:
+      // Most likely written by a newer version; the rest of the log still counts,
+      // and compaction drops it
+      console.error(`Skipping record with unknown op: ${record && record.op}`);
+  }
+}
+
+// Drop anything past the retention limits. Returns how many items were removed.
+function applyRetention(state, retention, now = Date.now()) {
+  let removed = 0;
+  const age = iso => now - new Date(iso).getTime();
+
+  for (const queue of Object.values(state.queues)) {
+    const before = queue.messages.length + queue.deadLetters.length;
+
+    queue.messages = queue.messages.filter(message => age(message.timestamp) <= retention.maxAge);
+    if (queue.messages.length > retention.maxMessages) {
+      queue.messages = queue.messages.slice(-retention.maxMessages);
+    }
+    queue.deadLetters = queue.deadLetters.filter(dead => age(dead.failedAt) <= retention.deadLetterMaxAge);
+
+    removed += before - queue.messages.length - queue.deadLetters.length;
+  }
+
+  for (const [key, invocation] of Object.entries(state.invocations)) {
+    if (now - invocation.createdAt > retention.maxAge) {
+      delete state.invocations[key];
+      removed++;
+    }
+  }
+
+  for (const [sessionId, entries] of Object.entries(state.history)) {
+    let kept = entries.filter(entry => age(entry.timestamp) <= retention.historyMaxAge);
+    if (kept.length > retention.maxHistory) {
+      kept = kept.slice(-retention.maxHistory);
+    }
+    removed += entries.length - kept.length;
+    if (kept.length) {
+      state.history[sessionId] = kept;
+    } else {
+      delete state.history[sessionId];
+    }
+  }
+
+  for (const [taskId, task] of Object.entries(state.tasks)) {
+    if (['done', 'failed'].includes(task.status) && age(task.updatedAt) > retention.taskMaxAge) {
+      delete state.tasks[taskId];
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+// The shortest record list that rebuilds the state
+function snapshotRecords(state) {
+  const records = [];
+
+  for (const session of Object.values(state.sessions)) {
+    records.push({ op: 'session', session });
+  }
+  for (const agent of Object.values(state.agents)) {
+    records.push({ op: 'agent', agent });
+  }
+  for (const task of Object.values(state.tasks)) {
+    records.push({ op: 'task', task });
+  }
+
+  for (const [name, queue] of Object.entries(state.queues)) {
+    for (const dead of queue.deadLetters) {
+      records.push({ op: 'enqueue', queue: name, message: dead.message });
+      records.push({
+        op: 'deadLetter',
+        queue: name,
+        messageId: dead.message.messageId,
+        attempts: dead.attempts,
+        reason: dead.reason,
+        lastError: dead.lastError,
+        failedAt: dead.failedAt
+      });
+    }
+    for (const message of queue.messages) {
+      records.push({ op: 'enqueue', queue: name, message });
+    }
+  }
+
+  for (const [key, invocation] of Object.entries(state.invocations)) {
+    const { response, ...rest } = invocation;
+    records.push({ op: 'invoke', key, invocation: rest });
+    if (response) {
+      records.push({ op: 'respond', key, response });
+    }
+  }
+
+  for (const entries of Object.values(state.history)) {
+    for (const entry of entries) {
+      records.push({ op: 'history', entry });
+    }
+  }
+
+  return records;
+}
+
+// Shared bookkeeping: keeps the folded state and compacts every `compactEvery` appends
+class BaseStore {
+  constructor({ retention = {} } = {}) {
+    this.retention = { ...DEFAULT_RETENTION, ...retention };
+    this.state = emptyState();
+    this.appended = 0;
+  }
+
+  load() {
+    this.state = emptyState();
+    for (const record of this.readRecords()) {
+      applyRecord(this.state, record);
+    }
+    applyRetention(this.state, this.retention);
+    return this.state;
+  }
+
+  append(record) {
+    applyRecord(this.state, record);
+    this.writeRecord(record);
+
+    this.appended++;
+    if (this.appended >= this.retention.compactEvery) {
+      this.compact();
+    }
+  }
+
+  // Rewrite storage as a snapshot of the current state. Returns { removed, records }.
+  compact() {
+    const removed = applyRetention(this.state, this.retention);
+    const records = snapshotRecords(this.state);
+    this.replaceRecords(records);
+    this.appended = 0;
+    return { removed, records: records.length };
+  }
+
+  close() {}
+}
+
+// Keeps nothing across restarts
+class MemoryStore extends BaseStore {
+  readRecords() {
+    return [];
+  }
+
+  writeRecord() {}
+
+  replaceRecords() {}
+}
+
+// Append-only JSON-lines file, one record per line
+class JsonlStore extends BaseStore {
+  constructor(options) {
+    super(options);
+    this.path = options.path;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+  }
+
+  readRecords() {
+    if (!fs.existsSync(this.path)) {
+      return [];
+    }
+
+    const records = [];
+    const lines = fs.readFileSync(this.path, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // Most likely a write cut short by a crash; everything before it still counts
+        console.error(`Skipping unreadable record at ${this.path}:${index + 1}: ${error.message}`);
+      }
+    });
+    return records;
+  }
+
+  writeRecord(record) {
+    fs.appendFileSync(this.path, `${JSON.stringify(record)}\n`);
+  }
+
+  // Write to a temporary file and rename, so a crash never leaves a half-written log
+  replaceRecords(records) {
+    const temp = `${this.path}.tmp`;
+    const content = records.map(record => `${JSON.stringify(record)}\n`).join('');
+    const fd = fs.openSync(temp, 'w');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(temp, this.path);
+  }
+}
+
+// SQLite database holding the same records; needs the optional better-sqlite3 package
+class SqliteStore extends BaseStore {
+  constructor(options) {
+    super(options);
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the better-sqlite3 package: npm install better-sqlite3');
+    }
+
+    fs.mkdirSync(path.dirname(options.path), { recursive: true });
+    this.db = new Database(options.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec('CREATE TABLE IF NOT EXISTS records (seq INTEGER PRIMARY KEY AUTOINCREMENT, record TEXT NOT NULL)');
+    this.insert = this.db.prepare('INSERT INTO records (record) VALUES (?)');
+  }
+
+  readRecords() {
+    return this.db.prepare('SELECT record FROM records ORDER BY seq')
+      .all()
+      .map(row => JSON.parse(row.record));
+  }
+
+  writeRecord(record) {
+    this.insert.run(JSON.stringify(record));
+  }
+
+  replaceRecords(records) {
+    this.db.transaction(() => {
+      this.db.exec('DELETE FROM records');
+      records.forEach(record => this.insert.run(JSON.stringify(record)));
+    })();
+    this.db.exec('VACUUM');
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// Build a store from { type: 'memory' | 'jsonl' | 'sqlite', path, retention }
+function createStore(options = {}) {
+  switch (options.type || 'jsonl') {
+    case 'memory':
+      return new MemoryStore(options);
+    case 'jsonl':
+      return new JsonlStore(options);
+    case 'sqlite':
+      return new SqliteStore(options);
+    default:
+      throw new Error(`Unknown storage type: ${options.type}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  MemoryStore,
+  JsonlStore,
+  SqliteStore,
+  applyRecord,
+  applyRetention,
+  snapshotRecords,
+  DEFAULT_RETENTION
+};
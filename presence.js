@@ -0,0 +1,185 @@
+// presence.js - Tracks which clients are attached to the bridge
+//
+// A client announces a connection (the connectionId it generated) when it
+// attaches, then heartbeats; any request carrying its X-Connection-Id header
+// also counts as a sign of life. A connection not heard from within the
+// timeout is dropped. A client - a registered agent, or an unregistered
+// Claude or Cline in the default session - is online while it has at least
+// one connection. 'change' is emitted when a client comes online or goes
+// offline: { status, role, agentId, sessionId, lastSeen, reason? }
+//
+// A connection belongs to the client that announced it; only that client may
+// heartbeat or end it (see ownedBy). Connection ids are not listed, since
+// knowing one is what lets a client act on it.
+const EventEmitter = require('events');
+
+const HEARTBEAT_INTERVAL = 10000; // How often clients are asked to heartbeat
+const PRESENCE_TIMEOUT = 30000;   // Connections silent for this long are dropped
+
+// One key per client: the agent, or the role in its session
+function clientKey({ role, agentId, sessionId }) {
+  return agentId ? `agent:${agentId}` : `session:${sessionId}:${role}`;
+}
+
+class PresenceTracker extends EventEmitter {
+  constructor({ timeout = PRESENCE_TIMEOUT } = {}) {
+    super();
+    this.timeout = timeout;
+    this.connections = new Map(); // connectionId -> { connectionId, key, role, agentId, sessionId, transport, connectedAt, lastSeen }
+    this.clients = new Map();     // client key -> { role, agentId, sessionId, lastSeen }, kept after going offline
+  }
+
+  // Record a connection for `identity` (see SessionRegistry.identify). Announcing
+  // the same connection again just refreshes it; check ownedBy first. Returns
+  // the connection.
+  connect(connectionId, identity, { transport = null, now = Date.now() } = {}) {
+    const existing = this.connections.get(connectionId);
+    if (existing) {
+      existing.transport = transport || existing.transport;
+      this.touch(connectionId, now);
+      return existing;
+    }
+
+    const key = clientKey(identity);
+    const wasOnline = this.isOnline(identity);
+    const connection = {
+      connectionId,
+      key,
+      role: identity.role,
+      agentId: identity.agentId || null,
+      sessionId: identity.sessionId,
+      transport,
+      connectedAt: now,
+      lastSeen: now
+    };
+
+    this.connections.set(connectionId, connection);
+    this.clients.set(key, { role: connection.role, agentId: connection.agentId, sessionId: connection.sessionId, lastSeen: now });
+
+    if (!wasOnline) {
+      this.emitChange('online', connection);
+    }
+    return connection;
+  }
+
+  // Whether `identity` may use a connection: it is unknown (so free to
+  // announce), or it was announced by the same client
+  ownedBy(connectionId, identity) {
+    const connection = this.connections.get(connectionId);
+    return !connection || connection.key === clientKey(identity);
+  }
+
+  // Note that a connection is alive. Returns false if it is unknown (or was dropped).
+  touch(connectionId, now = Date.now()) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) return false;
+
+    connection.lastSeen = now;
+    this.clients.get(connection.key).lastSeen = now;
+    return true;
+  }
+
+  // Forget a connection. Returns false if it is unknown.
+  disconnect(connectionId, reason = 'disconnected') {
+    const connection = this.connections.get(connectionId);
+    if (!connection) return false;
+
+    this.connections.delete(connectionId);
+    if (!this.isOnline(connection)) {
+      this.emitChange('offline', connection, reason);
+    }
+    return true;
+  }
+
+  // Drop connections that have not been heard from within the timeout
+  sweep(now = Date.now()) {
+    let dropped = 0;
+    for (const connection of [...this.connections.values()]) {
+      if (now - connection.lastSeen > this.timeout) {
+        this.disconnect(connection.connectionId, 'timeout');
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  // Forget a client entirely, e.g. an unregistered agent or a closed session's clients
+  forget(predicate) {
+    for (const connection of [...this.connections.values()]) {
+      if (predicate(connection)) {
+        this.disconnect(connection.connectionId, 'unregistered');
+      }
+    }
+    for (const [key, client] of this.clients) {
+      if (predicate(client)) {
+        this.clients.delete(key);
+      }
+    }
+  }
+
+  // Whether a client (an agent, or a role in a session) has any connection
+  isOnline(identity) {
+    const key = clientKey(identity);
+    for (const connection of this.connections.values()) {
+      if (connection.key === key) return true;
+    }
+    return false;
+  }
+
+  // Whether anything of `role` is connected in a session: an unregistered
+  // client of the default session, or an agent in it
+  anyOnline(role, sessionId) {
+    for (const connection of this.connections.values()) {
+      if (connection.role === role && connection.sessionId === sessionId) return true;
+    }
+    return false;
+  }
+
+  // Every client seen since the bridge started, with its status
+  list() {
+    return [...this.clients.entries()].map(([key, client]) => {
+      const connections = [...this.connections.values()].filter(connection => connection.key === key);
+      return {
+        ...client,
+        status: connections.length ? 'online' : 'offline',
+        lastSeen: new Date(client.lastSeen).toISOString(),
+        connections: connections.map(({ transport, connectedAt }) => ({
+          transport,
+          connectedAt: new Date(connectedAt).toISOString()
+        }))
+      };
+    });
+  }
+
+  // { online, connections, lastSeen } for one role across all sessions
+  summary(role) {
+    const clients = [...this.clients.values()].filter(client => client.role === role);
+    const connections = [...this.connections.values()].filter(connection => connection.role === role).length;
+    const lastSeen = clients.reduce((latest, client) => Math.max(latest, client.lastSeen), 0);
+    return {
+      online: connections > 0,
+      connections,
+      lastSeen: lastSeen ? new Date(lastSeen).toISOString() : null
+    };
+  }
+
+  emitChange(status, connection, reason) {
+    const change = {
+      status,
+      role: connection.role,
+      agentId: connection.agentId,
+      sessionId: connection.sessionId,
+      lastSeen: new Date(connection.lastSeen).toISOString()
+    };
+    if (reason) {
+      change.reason = reason;
+    }
+    this.emit('change', change);
+  }
+}
+
+module.exports = {
+  PresenceTracker,
+  HEARTBEAT_INTERVAL,
+  PRESENCE_TIMEOUT
+};
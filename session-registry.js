@@ -0,0 +1,195 @@
+// session-registry.js - Named sessions and registered agents for the bridge
+//
+// Every message lives in a mailbox (a MessageQueue with the same name):
+//   claude, cline              - the default session, used by unregistered clients
+//   session:<sessionId>:claude|cline - a named session, shared by its agents of that role
+//   agent:<agentId>                  - messages addressed to one agent
+// The prefixes keep the two apart whatever the ids (a session named "agent"
+// would otherwise share agent:cline with an agent named "cline").
+// An agent registers with a role (the client its token belongs to) and joins
+// one session. It receives from its own mailbox and its session's mailbox for
+// its role; messages it sends go to the peer role's mailbox in its session
+// unless addressed to another agent or session.
+const crypto = require('crypto');
+
+const DEFAULT_SESSION = 'default';
+const ROLES = ['claude', 'cline'];
+const PEERS = { claude: 'cline', cline: 'claude' };
+const ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Error with an HTTP status for the route to report
+class RegistryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sessionMailbox(sessionId, role) {
+  return sessionId === DEFAULT_SESSION ? role : `session:${sessionId}:${role}`;
+}
+
+function agentMailbox(agentId) {
+  return `agent:${agentId}`;
+}
+
+class SessionRegistry {
+  constructor({ store = null } = {}) {
+    this.store = store;
+    this.sessions = new Map(); // sessionId -> { sessionId, name, createdAt }
+    this.agents = new Map();   // agentId -> { agentId, role, sessionId, name, registeredAt }
+    this.sessions.set(DEFAULT_SESSION, { sessionId: DEFAULT_SESSION, name: 'Default session', createdAt: null });
+  }
+
+  // Reload sessions and agents saved by the store
+  restore({ sessions = {}, agents = {} } = {}) {
+    for (const session of Object.values(sessions)) {
+      this.sessions.set(session.sessionId, session);
+    }
+    for (const agent of Object.values(agents)) {
+      this.agents.set(agent.agentId, agent);
+    }
+  }
+
+  createSession({ sessionId, name } = {}) {
+    const id = sessionId || crypto.randomUUID();
+    if (!ID_PATTERN.test(id)) {
+      throw new RegistryError(400, 'Session ids may only contain letters, digits, ".", "_" and "-"');
+    }
+    if (this.sessions.has(id)) {
+      throw new RegistryError(409, `Session ${id} already exists`);
+    }
+
+    const session = { sessionId: id, name: name || id, createdAt: new Date().toISOString() };
+    this.sessions.set(id, session);
+    this.record({ op: 'session', session });
+    return session;
+  }
+
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new RegistryError(404, `Unknown session: ${sessionId}`);
+    }
+    return session;
+  }
+
+  // Remove a session and its agents. Returns the mailboxes that should be dropped.
+  closeSession(sessionId) {
+    if (sessionId === DEFAULT_SESSION) {
+      throw new RegistryError(400, 'The default session cannot be closed');
+    }
+    this.getSession(sessionId);
+
+    const mailboxes = ROLES.map(role => sessionMailbox(sessionId, role));
+    for (const agent of this.agentsIn(sessionId)) {
+      mailboxes.push(...this.unregisterAgent(agent.agentId));
+    }
+
+    this.sessions.delete(sessionId);
+    this.record({ op: 'closeSession', sessionId });
+    return mailboxes;
+  }
+
+  // Register (or re-register) an agent. Joining a session that does not exist creates it.
+  registerAgent({ agentId, role, sessionId = DEFAULT_SESSION, name }) {
+    const id = agentId || crypto.randomUUID();
+    if (!ID_PATTERN.test(id)) {
+      throw new RegistryError(400, 'Agent ids may only contain letters, digits, ".", "_" and "-"');
+    }
+
+    const existing = this.agents.get(id);
+    if (existing && existing.role !== role) {
+      throw new RegistryError(409, `Agent ${id} is registered as ${existing.role}`);
+    }
+
+    if (!this.sessions.has(sessionId)) {
+      this.createSession({ sessionId });
+    }
+
+    const agent = {
+      agentId: id,
+      role,
+      sessionId,
+      name: name || (existing && existing.name) || id,
+      registeredAt: existing ? existing.registeredAt : new Date().toISOString()
+    };
+    this.agents.set(id, agent);
+    this.record({ op: 'agent', agent });
+    return agent;
+  }
+
+  getAgent(agentId) {
+    const agent = this.agents.get(agentId);
+    if (!agent) {
+      throw new RegistryError(404, `Unknown agent: ${agentId}`);
+    }
+    return agent;
+  }
+
+  // Forget an agent. Returns the mailboxes that should be dropped.
+  unregisterAgent(agentId) {
+    this.getAgent(agentId);
+    this.agents.delete(agentId);
+    this.record({ op: 'removeAgent', agentId });
+    return [agentMailbox(agentId)];
+  }
+
+  agentsIn(sessionId) {
+    return [...this.agents.values()].filter(agent => agent.sessionId === sessionId);
+  }
+
+  // Who is making a request: the agent named by agentId (which must have this
+  // role), or an unregistered client of this role in the default session
+  identify(role, agentId) {
+    if (!agentId) {
+      return { role, agentId: null, sessionId: DEFAULT_SESSION };
+    }
+
+    const agent = this.getAgent(agentId);
+    if (agent.role !== role) {
+      throw new RegistryError(403, `Agent ${agentId} is registered as ${agent.role}`);
+    }
+    return { role, agentId, sessionId: agent.sessionId };
+  }
+
+  // Mailboxes a client receives from, own mailbox first
+  mailboxesFor(identity) {
+    const mailboxes = [sessionMailbox(identity.sessionId, identity.role)];
+    if (identity.agentId) {
+      mailboxes.unshift(agentMailbox(identity.agentId));
+    }
+    return mailboxes;
+  }
+
+  // Mailbox for a message from `identity`: the agent `to`, else the peer role
+  // in `sessionId` (default: the sender's session).
+  // Returns { mailbox, sessionId, role, agentId } describing the recipient.
+  route(identity, { to, sessionId } = {}) {
+    if (to) {
+      const agent = this.getAgent(to);
+      return { mailbox: agentMailbox(to), sessionId: agent.sessionId, role: agent.role, agentId: to };
+    }
+
+    const target = sessionId || identity.sessionId;
+    this.getSession(target);
+    const role = PEERS[identity.role];
+    return { mailbox: sessionMailbox(target, role), sessionId: target, role, agentId: null };
+  }
+
+  record(record) {
+    if (this.store) {
+      this.store.append(record);
+    }
+  }
+}
+
+module.exports = {
+  SessionRegistry,
+  RegistryError,
+  sessionMailbox,
+  agentMailbox,
+  DEFAULT_SESSION,
+  ROLES,
+  PEERS
+};
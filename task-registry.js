@@ -0,0 +1,178 @@
+// task-registry.js - Tasks Claude delegates to Cline
+//
+// Claude creates a task with a goal, acceptance criteria and context files;
+// the bridge delivers it to Cline as a 'task' message. Cline reports each
+// status change with an optional note and artifacts, and the bridge sends
+// Claude a 'taskStatus' message. A task is:
+//   pending      created, Cline has not answered yet
+//   accepted     Cline took it on
+//   in_progress  Cline is working on it; repeat it to report progress
+//   blocked      Cline needs something (the note says what); repeat it to add notes
+//   done         finished, with artifacts describing the result
+//   failed       Cline rejected it or gave up, or its session was closed
+// done and failed are final.
+//
+// A task addressed to an agent is that agent's; otherwise any Cline in the
+// task's session may update it, and the first registered agent to do so
+// becomes its assignee.
+const crypto = require('crypto');
+
+const TASK_STATUSES = ['pending', 'accepted', 'in_progress', 'blocked', 'done', 'failed'];
+const FINAL_STATUSES = ['done', 'failed'];
+
+// Statuses each status may move to
+const TRANSITIONS = {
+  pending: ['accepted', 'failed'],
+  accepted: ['in_progress', 'blocked', 'done', 'failed'],
+  in_progress: ['in_progress', 'blocked', 'done', 'failed'],
+  blocked: ['blocked', 'in_progress', 'done', 'failed'],
+  done: [],
+  failed: []
+};
+
+const TASK_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // Finished tasks are dropped after 30 days
+
+// Error with an HTTP status for the route to report
+class TaskError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Fold a status update ({ status, note, artifacts, agentId, at }) into a task;
+// also used to replay 'taskUpdate' records
+function applyTaskUpdate(task, update) {
+  task.status = update.status;
+  task.assignee = task.assignee || update.agentId;
+  task.updatedAt = update.at;
+  task.updates.push(update);
+}
+
+// The fields of a task sent to Cline in a 'task' message
+function taskSummary(task) {
+  const { taskId, title, goal, acceptanceCriteria, contextFiles, status } = task;
+  return { taskId, title, goal, acceptanceCriteria, contextFiles, status };
+}
+
+class TaskRegistry {
+  constructor({ store = null, maxAge = TASK_MAX_AGE } = {}) {
+    this.store = store;
+    this.maxAge = maxAge;
+    this.tasks = new Map(); // taskId -> task
+  }
+
+  // Reload tasks saved by the store (copied; the store folds updates into its own)
+  restore(tasks = {}) {
+    for (const task of Object.values(tasks)) {
+      this.tasks.set(task.taskId, { ...task, updates: task.updates.slice() });
+    }
+  }
+
+  // New pending task. `createdBy` is the creating agent's id (or null) and
+  // `assignee` the agent it is addressed to (or null for the session's Cline).
+  create({ sessionId, title, goal, acceptanceCriteria = [], contextFiles = [], createdBy = null, assignee = null }) {
+    const now = new Date().toISOString();
+    const task = {
+      taskId: crypto.randomUUID(),
+      sessionId,
+      title: title || goal.split('\n')[0].slice(0, 80),
+      goal,
+      acceptanceCriteria,
+      contextFiles,
+      status: 'pending',
+      createdBy,
+      assignee,
+      createdAt: now,
+      updatedAt: now,
+      updates: [] // { status, note, artifacts, agentId, at }
+    };
+    this.save(task);
+    return task;
+  }
+
+  get(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new TaskError(404, `Unknown task: ${taskId}`);
+    }
+    return task;
+  }
+
+  // Tasks oldest first, optionally only those in one session, with one of `statuses`, or assigned to an agent
+  list({ sessionId, statuses, assignee } = {}) {
+    return [...this.tasks.values()].filter(task =>
+      (!sessionId || task.sessionId === sessionId)
+      && (!statuses || statuses.includes(task.status))
+      && (!assignee || task.assignee === assignee));
+  }
+
+  // Record a status change reported by the Cline `identity` (see
+  // SessionRegistry.identify). Returns { task, previous }.
+  update(taskId, identity, { status, note = null, artifacts = [] }) {
+    const task = this.get(taskId);
+
+    if (task.assignee ? identity.agentId !== task.assignee : identity.sessionId !== task.sessionId) {
+      throw new TaskError(403, `Task ${taskId} belongs to ${task.assignee ? `agent ${task.assignee}` : `session ${task.sessionId}`}`);
+    }
+    if (!TRANSITIONS[task.status].includes(status)) {
+      throw new TaskError(409, `Task ${taskId} cannot go from ${task.status} to ${status}`);
+    }
+
+    const previous = task.status;
+    this.addUpdate(task, { status, note, artifacts, agentId: identity.agentId, at: new Date().toISOString() });
+    return { task, previous };
+  }
+
+  // Fail the unfinished tasks of a closed session. Returns them.
+  failSession(sessionId) {
+    const failed = this.list({ sessionId }).filter(task => !FINAL_STATUSES.includes(task.status));
+    const at = new Date().toISOString();
+    for (const task of failed) {
+      this.addUpdate(task, { status: 'failed', note: 'Session closed', artifacts: [], agentId: null, at });
+    }
+    return failed;
+  }
+
+  // Drop tasks that finished more than maxAge ago. Returns how many were removed.
+  expire(now = Date.now()) {
+    let removed = 0;
+    for (const [taskId, task] of this.tasks) {
+      if (FINAL_STATUSES.includes(task.status) && now - new Date(task.updatedAt).getTime() > this.maxAge) {
+        this.tasks.delete(taskId);
+        this.record({ op: 'forgetTask', taskId });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  save(task) {
+    this.tasks.set(task.taskId, task);
+    this.record({ op: 'task', task });
+  }
+
+  // Apply a status update and record only the update, so a long-running
+  // task does not rewrite its whole history on every report
+  addUpdate(task, update) {
+    applyTaskUpdate(task, update);
+    this.record({ op: 'taskUpdate', taskId: task.taskId, update });
+  }
+
+  record(record) {
+    if (this.store) {
+      this.store.append(record);
+    }
+  }
+}
+
+module.exports = {
+  TaskRegistry,
+  TaskError,
+  taskSummary,
+  applyTaskUpdate,
+  TASK_STATUSES,
+  FINAL_STATUSES,
+  TRANSITIONS,
+  TASK_MAX_AGE
+};
@@ -0,0 +1,261 @@
+// transcript.js - Per-session history of everything exchanged through the bridge
+//
+// Queues forget a message once it is acked; the transcript keeps a copy of
+// every message delivered in a session (text, file requests and contents,
+// edits, commands and their output, transferred files) and of every MCP
+// invocation and its response, so either side can look back or hand the
+// conversation to a new session. Each entry:
+//   { entryId, sessionId, timestamp, type, from, fromAgent, to: { role, agentId }, data, truncated? }
+// `data` is the message payload without the envelope fields. Strings longer
+// than MAX_FIELD_LENGTH, at any depth (file contents in mcp_invoke params or
+// mcp_response results), are cut short and their paths listed in `truncated`,
+// e.g. 'content' or 'result.content'.
+//
+// With a store every entry is recorded ({ op: 'history', entry }) and
+// restored on startup. The bridge gives transcripts a store of their own,
+// compacted at startup and after each expiry rather than with the queues.
+// Transcripts outlive their sessions and are dropped by age (maxAge) or
+// beyond maxEntries per session.
+const crypto = require('crypto');
+
+const MAX_FIELD_LENGTH = 16 * 1024;                // Characters kept of each string field
+const MAX_ENTRIES = 10000;                         // Entries kept per session
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000;          // Entries are dropped after 30 days
+const SKIPPED_TYPES = ['presence'];                // Bookkeeping, not part of the conversation
+
+// Set by the bridge on every message, kept outside `data`
+const ENVELOPE_FIELDS = ['type', 'from', 'fromAgent', 'sessionId', 'timestamp', 'messageId', 'deliveryAttempt', 'to', 'session'];
+
+// Copy a payload, cutting long strings short at any depth. Returns { data, truncated }.
+function capFields(payload) {
+  const truncated = [];
+  const cap = (value, where) => {
+    if (typeof value === 'string' && value.length > MAX_FIELD_LENGTH) {
+      truncated.push(where);
+      return value.slice(0, MAX_FIELD_LENGTH);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => cap(item, `${where}.${index}`));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cap(item, where ? `${where}.${key}` : key)]));
+    }
+    return value;
+  };
+  return { data: cap(payload, ''), truncated };
+}
+
+// A time filter: an ISO date or milliseconds since the epoch. Returns ms, or NaN if invalid.
+function parseTime(value) {
+  return /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+}
+
+class Transcript {
+  constructor({ store = null, maxEntries = MAX_ENTRIES, maxAge = MAX_AGE } = {}) {
+    this.store = store;
+    this.maxEntries = maxEntries;
+    this.maxAge = maxAge;
+    this.sessions = new Map(); // sessionId -> entries, oldest first
+  }
+
+  // Reload entries saved by the store
+  restore(history = {}) {
+    for (const [sessionId, entries] of Object.entries(history)) {
+      this.sessions.set(sessionId, entries.slice());
+    }
+  }
+
+  // Add a delivered message (an envelope with its messageId) to its session's
+  // transcript. `to` ({ role, agentId }) is the recipient. Returns the entry,
+  // or null for messages that are not kept.
+  record(message, to) {
+    if (SKIPPED_TYPES.includes(message.type) || !message.sessionId) {
+      return null;
+    }
+
+    const payload = { ...message };
+    ENVELOPE_FIELDS.forEach(field => delete payload[field]);
+    const { data, truncated } = capFields(payload);
+
+    const entry = {
+      entryId: message.messageId || crypto.randomUUID(),
+      sessionId: message.sessionId,
+      timestamp: message.timestamp || new Date().toISOString(),
+      type: message.type,
+      from: message.from,
+      fromAgent: message.fromAgent || null,
+      to: { role: to.role, agentId: to.agentId || null },
+      data
+    };
+    if (truncated.length) {
+      entry.truncated = truncated;
+    }
+
+    this.add(entry);
+    if (this.store) {
+      this.store.append({ op: 'history', entry });
+    }
+    return entry;
+  }
+
+  add(entry) {
+    if (!this.sessions.has(entry.sessionId)) {
+      this.sessions.set(entry.sessionId, []);
+    }
+    const entries = this.sessions.get(entry.sessionId);
+    entries.push(entry);
+    if (entries.length > this.maxEntries) {
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+  }
+
+  has(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  // A session's entries, oldest first, matching every filter given:
+  //   types        entry types to keep
+  //   since/until  time range in ms, inclusive
+  //   participant  a role or agent id that sent or received the entry
+  //   limit        keep only the newest `limit` entries
+  query(sessionId, { types, since, until, participant, limit } = {}) {
+    const involves = entry => [entry.from, entry.fromAgent, entry.to.role, entry.to.agentId].includes(participant);
+
+    const entries = (this.sessions.get(sessionId) || []).filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      return (!types || types.includes(entry.type))
+        && (since === undefined || time >= since)
+        && (until === undefined || time <= until)
+        && (!participant || involves(entry));
+    });
+    return limit ? entries.slice(-limit) : entries;
+  }
+
+  // Drop entries older than maxAge. Returns how many were removed.
+  expire(now = Date.now()) {
+    let removed = 0;
+    for (const [sessionId, entries] of this.sessions) {
+      const kept = entries.filter(entry => now - new Date(entry.timestamp).getTime() <= this.maxAge);
+      removed += entries.length - kept.length;
+      if (kept.length) {
+        this.sessions.set(sessionId, kept);
+      } else {
+        this.sessions.delete(sessionId);
+      }
+    }
+    return removed;
+  }
+}
+
+//------------------------------------------
+// MARKDOWN EXPORT
+//------------------------------------------
+
+// A fenced code block that survives backticks in the text
+function codeBlock(text, language = '') {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+// Inline code that survives backticks in the text
+function code(text) {
+  const longest = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return longest ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`;
+}
+
+function json(value) {
+  return codeBlock(JSON.stringify(value, null, 2), 'json');
+}
+
+function participant(role, agentId) {
+  const name = role ? role.charAt(0).toUpperCase() + role.slice(1) : 'Unknown';
+  return agentId ? `${name} (${agentId})` : name;
+}
+
+// The body of one entry, by type
+function describeEntry({ type, data }) {
+  switch (type) {
+    case 'text':
+    case 'message':
+      return data.content;
+    case 'fileRequest':
+      return `Requested ${code(data.path)}`;
+    case 'fileContent':
+      return data.error
+        ? `Could not read ${code(data.path)}: ${data.error}`
+        : `Content of ${code(data.path)}:\n\n${codeBlock(data.content)}`;
+    case 'updateCode':
+      return `Update ${code(data.path)}:\n\n${codeBlock(data.content)}`;
+    case 'updateCodeResult':
+      return data.success ? `Updated ${code(data.path)}` : `Could not update ${code(data.path)}: ${data.error}`;
+    case 'fileChanged':
+      return `${code(data.path)} changed`;
+    case 'executeCommand':
+      return `Run ${code(data.command)}${data.cwd ? ` in ${code(data.cwd)}` : ''}`;
+    case 'commandOutput':
+      return `${data.stream}:\n\n${codeBlock(data.data)}`;
+    case 'cancelCommand':
+      return `Cancel command ${data.requestId}`;
+    case 'commandResult': {
+      const status = data.cancelled ? 'was cancelled'
+        : data.exitCode !== undefined && data.exitCode !== null ? `exited with code ${data.exitCode}`
+          : data.success ? 'succeeded' : 'failed';
+      const output = data.output ? `\n\n${codeBlock(data.output)}` : '';
+      return `${code(data.command)} ${status}${data.error ? `: ${data.error}` : ''}${output}`;
+    }
+    case 'file':
+      return `Sent file ${code(data.name)} (${data.size} bytes)`;
+    case 'task': {
+      const lines = [`Task ${code(data.title || data.taskId)} (id ${data.taskId}):`, '', data.goal];
+      if (data.acceptanceCriteria && data.acceptanceCriteria.length) {
+        lines.push('', 'Acceptance criteria:', ...data.acceptanceCriteria.map(criterion => `- ${criterion}`));
+      }
+      if (data.contextFiles && data.contextFiles.length) {
+        lines.push('', `Context files: ${data.contextFiles.map(code).join(', ')}`);
+      }
+      return lines.join('\n');
+    }
+    case 'taskStatus': {
+      const artifacts = (data.artifacts || []).map(artifact =>
+        `- ${code(artifact.path || artifact.name || artifact.fileId || artifact.url)}${artifact.description ? ` ${artifact.description}` : ''}`);
+      return [
+        `Task ${code(data.title || data.taskId)} ${data.previous ? `${data.previous} -> ` : ''}${data.status}${data.note ? `: ${data.note}` : ''}`,
+        ...(artifacts.length ? ['', 'Artifacts:', ...artifacts] : [])
+      ].join('\n');
+    }
+    case 'mcp_invoke':
+      return `Invoke ${code(data.method)} (id ${data.id}):\n\n${json(data.params || {})}`;
+    case 'mcp_response':
+      return data.error
+        ? `Response to ${code(data.method)} (id ${data.id}) with error:\n\n${json(data.error)}`
+        : `Response to ${code(data.method)} (id ${data.id}):\n\n${json(data.result)}`;
+    default:
+      return json(data);
+  }
+}
+
+// Render entries as a Markdown document
+function toMarkdown(sessionId, entries) {
+  const lines = [`# Transcript of session ${sessionId}`, '', `${entries.length} entries`];
+
+  for (const entry of entries) {
+    const from = participant(entry.from, entry.fromAgent);
+    const to = participant(entry.to.role, entry.to.agentId);
+    lines.push('', `## ${entry.timestamp} - ${from} to ${to} (${entry.type})`, '', describeEntry(entry));
+    if (entry.truncated) {
+      lines.push('', `_Truncated: ${entry.truncated.join(', ')}_`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  Transcript,
+  toMarkdown,
+  parseTime,
+  MAX_FIELD_LENGTH,
+  MAX_ENTRIES,
+  MAX_AGE
+};
@@ -0,0 +1,261 @@
+// workspace-explorer.js - Lets Claude look around Cline's workspace
+//
+// listDirectory, glob, search and stat walk the workspace on disk. Entries
+// refused by the workspace sandbox are never shown, and files ignored by
+// .gitignore (the root one and any in subdirectories) are skipped unless
+// includeIgnored is set. Symlinked directories are not followed.
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./workspace-sandbox');
+const { hashContent } = require('./file-patch');
+
+const MAX_ENTRIES = 1000;         // listDirectory and glob stop after this many paths
+const MAX_MATCHES = 100;          // search stops after this many matches
+const MAX_SEARCH_FILE_SIZE = 1024 * 1024; // Larger files are skipped by search
+const BINARY_SNIFF_BYTES = 8000;  // A NUL byte in this prefix marks a file as binary
+
+// Error code used in JSON-RPC error data
+const INVALID_QUERY = 'INVALID_QUERY';
+
+class ExplorerError extends Error {
+  constructor(message) {
+    super(message);
+    this.code = INVALID_QUERY;
+  }
+
+  toJSON() {
+    return { code: this.code };
+  }
+}
+
+// Patterns from one .gitignore, matched against paths relative to its directory
+function parseGitignore(content, base) {
+  return content.split(/\r?\n/)
+    .map(line => line.replace(/(?<!\\)\s+$/, ''))
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negated = line.startsWith('!');
+      const pattern = negated ? line.slice(1) : line;
+      return {
+        base,
+        negated,
+        directoryOnly: pattern.endsWith('/'),
+        regex: globToRegExp(pattern.replace(/^\\/, ''))
+      };
+    });
+}
+
+// Last matching rule wins, as in git
+function isIgnored(rules, relative, isDirectory) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    const local = rule.base ? path.posix.relative(rule.base, relative) : relative;
+    if (local.startsWith('..')) continue;
+    if (rule.regex.test(local)) {
+      ignored = !rule.negated;
+    }
+  }
+  return ignored;
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+class WorkspaceExplorer {
+  constructor({ sandbox }) {
+    this.sandbox = sandbox;
+    this.root = sandbox.workspaceRoot;
+  }
+
+  // Path relative to the workspace root, with forward slashes
+  relative(file) {
+    return path.relative(this.root, file).split(path.sep).join('/');
+  }
+
+  // Yield { path, absolute, type, depth } for everything under a directory,
+  // parents before children, skipping what the sandbox or .gitignore hides
+  async *walk(directory, { maxDepth = Infinity, includeIgnored = false } = {}) {
+    const start = this.sandbox.resolve(directory);
+    const rules = includeIgnored ? [] : await this.ancestorGitignores(start);
+
+    const visit = async function* (dir, depth, inherited) {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return; // Unreadable directories are skipped
+      }
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      let dirRules = inherited;
+      if (!includeIgnored && entries.some(entry => entry.name === '.gitignore' && entry.isFile())) {
+        const content = await fs.promises.readFile(path.join(dir, '.gitignore'), 'utf8');
+        dirRules = inherited.concat(parseGitignore(content, this.relative(dir)));
+      }
+
+      for (const entry of entries) {
+        const absolute = path.join(dir, entry.name);
+        const relative = this.relative(absolute);
+        const isDirectory = entry.isDirectory();
+
+        if (!this.sandbox.permits(relative, isDirectory)) continue;
+        if (!includeIgnored && isIgnored(dirRules, relative, isDirectory)) continue;
+
+        const type = isDirectory ? 'directory' : entry.isSymbolicLink() ? 'symlink' : 'file';
+        yield { path: relative, absolute, type, depth };
+
+        if (isDirectory && depth < maxDepth) {
+          yield* visit.call(this, absolute, depth + 1, dirRules);
+        }
+      }
+    };
+
+    yield* visit.call(this, start, 1, rules);
+  }
+
+  // .gitignore rules from the workspace root down to (but not including) a directory
+  async ancestorGitignores(directory) {
+    const rules = [];
+    let dir = this.root;
+    const parts = this.relative(directory).split('/').filter(Boolean);
+
+    for (let i = 0; i < parts.length; i++) {
+      const file = path.join(dir, '.gitignore');
+      if (fs.existsSync(file)) {
+        rules.push(...parseGitignore(await fs.promises.readFile(file, 'utf8'), this.relative(dir)));
+      }
+      dir = path.join(dir, parts[i]);
+    }
+    return rules;
+  }
+
+  // Entries under a directory, `depth` levels deep (1 = direct children)
+  async listDirectory(directory = '.', { depth = 1, includeIgnored = false, limit = MAX_ENTRIES } = {}) {
+    const entries = [];
+    let truncated = false;
+
+    for await (const entry of this.walk(directory, { maxDepth: depth, includeIgnored })) {
+      if (entries.length >= limit) {
+        truncated = true;
+        break;
+      }
+      const item = { path: entry.path, type: entry.type };
+      if (entry.type === 'file') {
+        item.size = (await fs.promises.stat(entry.absolute)).size;
+      }
+      entries.push(item);
+    }
+
+    return { path: directory, entries, truncated };
+  }
+
+  // Files matching a glob, relative to the workspace root (or `cwd` within it)
+  async glob(pattern, { cwd = '.', includeIgnored = false, limit = MAX_ENTRIES } = {}) {
+    if (typeof pattern !== 'string' || !pattern) {
+      throw new ExplorerError('glob needs a pattern');
+    }
+
+    const regex = globToRegExp(pattern.startsWith('/') ? pattern : `/${pattern}`);
+    const base = this.relative(this.sandbox.resolve(cwd));
+    const paths = [];
+    let truncated = false;
+
+    for await (const entry of this.walk(cwd, { includeIgnored })) {
+      if (entry.type === 'directory') continue;
+      const local = base ? path.posix.relative(base, entry.path) : entry.path;
+      if (!regex.test(local)) continue;
+
+      if (paths.length >= limit) {
+        truncated = true;
+        break;
+      }
+      paths.push(entry.path);
+    }
+
+    return { pattern, paths, truncated };
+  }
+
+  // Lines matching a regular expression, with `context` lines around each match
+  async search(query, {
+    path: directory = '.',
+    glob: fileGlob,
+    flags = '',
+    context = 2,
+    includeIgnored = false,
+    limit = MAX_MATCHES
+  } = {}) {
+    let regex;
+    try {
+      regex = new RegExp(query, flags.replace(/g/g, ''));
+    } catch (error) {
+      throw new ExplorerError(`Invalid search pattern: ${error.message}`);
+    }
+    const fileRegex = fileGlob ? globToRegExp(fileGlob) : null;
+
+    const matches = [];
+    let filesSearched = 0;
+    let truncated = false;
+
+    for await (const entry of this.walk(directory, { includeIgnored })) {
+      if (entry.type !== 'file') continue;
+      if (fileRegex && !fileRegex.test(entry.path)) continue;
+
+      const stats = await fs.promises.stat(entry.absolute);
+      if (stats.size > MAX_SEARCH_FILE_SIZE) continue;
+
+      const buffer = await fs.promises.readFile(entry.absolute);
+      if (isBinary(buffer)) continue;
+      filesSearched++;
+
+      const lines = buffer.toString('utf8').split(/\r?\n/);
+      if (lines[lines.length - 1] === '') lines.pop();
+      for (let i = 0; i < lines.length; i++) {
+        const match = regex.exec(lines[i]);
+        if (!match) continue;
+
+        if (matches.length >= limit) {
+          truncated = true;
+          break;
+        }
+        matches.push({
+          path: entry.path,
+          line: i + 1,
+          column: match.index + 1,
+          text: lines[i],
+          before: lines.slice(Math.max(0, i - context), i),
+          after: lines.slice(i + 1, i + 1 + context)
+        });
+      }
+      if (truncated) break;
+    }
+
+    return { query, matches, filesSearched, truncated };
+  }
+
+  // Size, modification time and (for files) content hash
+  async stat(file) {
+    const absolute = this.sandbox.resolve(file);
+    const stats = await fs.promises.stat(absolute);
+    const result = {
+      path: this.relative(absolute),
+      type: stats.isDirectory() ? 'directory' : 'file',
+      size: stats.size,
+      mtime: stats.mtime.toISOString()
+    };
+
+    if (stats.isFile()) {
+      const buffer = await fs.promises.readFile(absolute);
+      result.sha256 = hashContent(buffer);
+      result.binary = isBinary(buffer);
+    }
+    return result;
+  }
+}
+
+module.exports = {
+  WorkspaceExplorer,
+  ExplorerError,
+  INVALID_QUERY
+};
@@ -0,0 +1,205 @@
+// workspace-sandbox.js - Keeps Claude's file reads and writes inside Cline's workspace
+//
+// Requested paths are resolved against the workspace root, symlinks are
+// followed (dangling ones too), and the result must still be inside the root. Paths are then
+// matched (relative to the root, with forward slashes) against include and
+// exclude globs: "*" matches within one path segment, "**" across segments,
+// and a pattern without a slash matches a file or directory name at any depth
+// (a leading slash anchors it to the root instead).
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SANDBOX = {
+  // If non-empty, paths must match one of these
+  include: [],
+  // Paths matching any of these are always refused
+  exclude: [
+    '.env',
+    '.env.*',
+    '.git'
+  ]
+};
+
+// Error code used for refusals in JSON-RPC errors and fileContent/updateCodeResult messages
+const PATH_BLOCKED = 'PATH_BLOCKED';
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a path glob to a regular expression matching relative POSIX paths.
+// Matching a directory also matches everything beneath it.
+function globToRegExp(glob) {
+  let pattern = glob.replace(/\/+$/, '');
+  if (pattern.startsWith('/')) {
+    pattern = pattern.slice(1);
+  } else if (!pattern.includes('/')) {
+    pattern = `**/${pattern}`;
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+const MAX_LINK_DEPTH = 40; // Dangling links followed in a row before giving up, as for ELOOP
+
+// Resolve symlinks in the longest existing prefix of a path, so paths that
+// do not exist yet (new files) are still checked against where they would
+// land. A dangling symlink is followed to its target, so a write through it
+// is checked against where it would really go.
+function realpathAllowMissing(target, depth = 0) {
+  const missing = [];
+  let current = target;
+
+  while (true) {
+    try {
+      return path.join(fs.realpathSync(current), ...missing.reverse());
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    }
+
+    const link = readLinkIfAny(current);
+    if (link !== null) {
+      if (depth >= MAX_LINK_DEPTH) {
+        throw Object.assign(new Error(`Too many levels of symbolic links: ${target}`), { code: 'ELOOP' });
+      }
+      const linkTarget = path.resolve(path.dirname(current), link);
+      return realpathAllowMissing(path.join(linkTarget, ...missing.reverse()), depth + 1);
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) return target;
+    missing.push(path.basename(current));
+    current = parent;
+  }
+}
+
+// A symlink's target, or null if the path is not a symlink (or does not exist)
+function readLinkIfAny(file) {
+  try {
+    return fs.lstatSync(file).isSymbolicLink() ? fs.readlinkSync(file) : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    return null;
+  }
+}
+
+function toPosix(relative) {
+  return relative.split(path.sep).join('/');
+}
+
+// Whether a path relative to the root leads out of it; '..foo' is a name inside
+function leavesRoot(relative) {
+  return relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative);
+}
+
+class WorkspaceSandbox {
+  constructor(sandbox = {}, { workspaceRoot = process.cwd() } = {}) {
+    this.sandbox = { ...DEFAULT_SANDBOX, ...sandbox };
+    this.workspaceRoot = realpathAllowMissing(path.resolve(workspaceRoot));
+    this.include = this.sandbox.include.map(pattern => ({ pattern, regex: globToRegExp(pattern) }));
+    this.exclude = this.sandbox.exclude.map(pattern => ({ pattern, regex: globToRegExp(pattern) }));
+  }
+
+  // Absolute, symlink-free path for a requested path. Throws PathBlockedError
+  // if it leaves the workspace or is refused by the include/exclude rules.
+  resolve(requested) {
+    if (typeof requested !== 'string' || !requested) {
+      throw new PathBlockedError({ rule: 'workspace', path: requested, reason: 'Path is empty' });
+    }
+
+    const lexical = path.resolve(this.workspaceRoot, requested);
+    const real = realpathAllowMissing(lexical);
+
+    for (const candidate of new Set([lexical, real])) {
+      const relative = path.relative(this.workspaceRoot, candidate);
+      if (leavesRoot(relative)) {
+        throw new PathBlockedError({
+          rule: 'workspace',
+          path: requested,
+          reason: `${requested} is outside the workspace ${this.workspaceRoot}`
+        });
+      }
+      this.checkRules(requested, toPosix(relative));
+    }
+
+    return real;
+  }
+
+  // Whether an entry found while walking the workspace (relative, with forward
+  // slashes) may be shown. Directories only need to pass the exclude rules,
+  // since included files can be anywhere beneath them.
+  permits(relative, isDirectory = false) {
+    if (this.exclude.some(rule => rule.regex.test(relative))) {
+      return false;
+    }
+    return isDirectory || !this.include.length || this.include.some(rule => rule.regex.test(relative));
+  }
+
+  checkRules(requested, relative) {
+    const excluded = this.exclude.find(rule => rule.regex.test(relative));
+    if (excluded) {
+      throw new PathBlockedError({
+        rule: 'exclude',
+        pattern: excluded.pattern,
+        path: requested,
+        reason: `${requested} matches exclude rule "${excluded.pattern}"`
+      });
+    }
+
+    if (this.include.length && relative && !this.include.some(rule => rule.regex.test(relative))) {
+      throw new PathBlockedError({
+        rule: 'include',
+        path: requested,
+        reason: `${requested} does not match any include rule`
+      });
+    }
+  }
+}
+
+// Error thrown when the sandbox refuses a path; carries the rule that blocked it
+class PathBlockedError extends Error {
+  constructor(verdict) {
+    super(`Path blocked by ${verdict.rule} rule: ${verdict.reason}`);
+    this.code = PATH_BLOCKED;
+    this.rule = verdict.rule;
+    this.pattern = verdict.pattern;
+    this.path = verdict.path;
+  }
+
+  // Details sent back to Claude
+  toJSON() {
+    const details = { code: this.code, rule: this.rule };
+    if (this.pattern) {
+      details.pattern = this.pattern;
+    }
+    return details;
+  }
+}
+
+module.exports = {
+  WorkspaceSandbox,
+  PathBlockedError,
+  globToRegExp,
+  DEFAULT_SANDBOX,
+  PATH_BLOCKED
+};